@@ -0,0 +1,120 @@
+/* ═══════════════════════════════════════════════════════════════════════════
+   AniList Smart Recommendations v2.0 — background.js
+   ─────────────────────────────────────────────────
+   Service worker (MV3) : recalcule les recommandations du mode courant
+   quand le cache a expiré, même sans ouvrir la popup, et signale les
+   nouveaux titres du top par une notification et un badge sur l'icône.
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+"use strict";
+
+importScripts("config.js", "ratelimit.js", "engine.js");
+
+const REFRESH_ALARM       = "recoRefresh";
+const REFRESH_CHECK_MIN   = 60;             // vérification de l'âge du cache toutes les heures
+const NOTIFY_TOP_N        = 10;             // un titre qui entre dans ce top déclenche une alerte
+const NOTIFICATION_ID     = "recoNewTop";
+const BADGE_COLOR         = "#3db4f2";
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  BackgroundRefresher — Recalcul planifié + alertes
+// ═══════════════════════════════════════════════════════════════════════════
+
+class BackgroundRefresher {
+
+  static _running = false;
+
+  /** (Re)crée l'alarme périodique — idempotent. */
+  static async schedule() {
+    const existing = await chrome.alarms.get(REFRESH_ALARM);
+    if (!existing) {
+      chrome.alarms.create(REFRESH_ALARM, { delayInMinutes: 1, periodInMinutes: REFRESH_CHECK_MIN });
+    }
+  }
+
+  /**
+   * Recalcule le mode affiché en dernier dans la popup si son cache a
+   * expiré, puis compare le nouveau top au précédent.
+   */
+  static async run() {
+    if (this._running) return;
+    this._running = true;
+    try {
+      const { anilistUsername, anilistMediaMode } = await chrome.storage.local.get(["anilistUsername", "anilistMediaMode"]);
+      if (!anilistUsername) return;
+
+      const mode = this._storedMode(anilistMediaMode);
+      const previous = await ResultCache.load(anilistUsername, mode);
+      if (previous && Date.now() - previous.timestamp < CACHE_TTL_MS) return;
+
+      await AuthManager.init();
+      const [settings] = await Promise.all([SettingsManager.load(), BlocklistManager.load(), MalImportManager.load()]);
+      const exclusions = BlocklistManager.exclusions();
+
+      console.log(`[Background] Recalcul pour ${anilistUsername} (${ResultCache.key(anilistUsername, mode)})`);
+      const { results, raw } = await RecommendationEngine.computeRecommendations(
+        anilistUsername, undefined, { ...mode, settings, exclusions, imported: MalImportManager.lists(anilistUsername) }
+      );
+      if (!results.length) return;
+      await ResultCache.save(anilistUsername, results, raw);
+
+      // Première analyse : rien à comparer. Sinon, l'ancien classement est
+      // refait avec les réglages actuels pour ne signaler que les vraies entrées.
+      if (!previous) return;
+      const before = previous.raw
+        ? RecommendationEngine.rankCandidates(previous.raw, settings, exclusions)
+        : previous.results;
+      const beforeTop = new Set(before.slice(0, NOTIFY_TOP_N).map(r => r.media.id));
+      const entered   = results.slice(0, NOTIFY_TOP_N).filter(r => !beforeTop.has(r.media.id));
+      if (entered.length) await this._notify(entered);
+    } catch (err) {
+      console.warn("[Background] Recalcul échoué:", err);
+    } finally {
+      this._running = false;
+    }
+  }
+
+  /** Mode persisté par la popup (anilistMediaMode), au format de ResultCache. */
+  static _storedMode(stored = {}) {
+    return {
+      type:       MEDIA_TYPES.includes(stored.type) ? stored.type : "ANIME",
+      crossMedia: !!stored.crossMedia,
+      season:     stored.seasonMode && SEASONS.includes(stored.season?.season) ? stored.season : null,
+      members:    stored.blend && !stored.seasonMode ? stored.blendMembers || [] : [],
+    };
+  }
+
+  /** Notification + badge du nombre de nouveaux titres (effacé à l'ouverture de la popup). */
+  static async _notify(entries) {
+    const titles = entries.map(r => r.media.title.english || r.media.title.romaji || "Inconnu");
+    console.log(`[Background] ${entries.length} nouveau(x) titre(s) dans le top ${NOTIFY_TOP_N}:`, titles);
+
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+    await chrome.action.setBadgeText({ text: String(entries.length) });
+    chrome.notifications.create(NOTIFICATION_ID, {
+      type:     "basic",
+      iconUrl:  "icons/icon128.png",
+      title:    entries.length > 1
+        ? `${entries.length} nouvelles recommandations dans votre top ${NOTIFY_TOP_N}`
+        : `Nouvelle recommandation dans votre top ${NOTIFY_TOP_N}`,
+      message:  titles.join(" · "),
+      priority: 0,
+    });
+  }
+}
+
+// ── Listeners (enregistrés au chargement du service worker) ─────────────────
+chrome.runtime.onInstalled.addListener(() => BackgroundRefresher.schedule());
+chrome.runtime.onStartup.addListener(() => BackgroundRefresher.schedule());
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === REFRESH_ALARM) BackgroundRefresher.run();
+});
+
+chrome.notifications.onClicked.addListener(id => {
+  if (id !== NOTIFICATION_ID) return;
+  chrome.notifications.clear(id);
+  // Ouvrir la popup quand le navigateur l'autorise (Chrome 127+)
+  chrome.action.openPopup?.().catch(() => {});
+});
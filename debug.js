@@ -18,6 +18,35 @@ query ($username: String!, $page: Int) {
   }
 }`;
 
+const Q_FAVOURITE_PEOPLE = `
+query ($username: String!) {
+  User(name: $username) {
+    favourites {
+      characters(perPage: 25) {
+        nodes {
+          id
+          name { full }
+          media(sort: POPULARITY_DESC, perPage: 3) { nodes { id title { romaji english } } }
+        }
+      }
+      staff(perPage: 25) {
+        nodes {
+          id
+          name { full }
+          staffMedia(type: ANIME, sort: POPULARITY_DESC, perPage: 3) { nodes { id title { romaji english } } }
+        }
+      }
+      studios(perPage: 25) {
+        nodes {
+          id
+          name
+          media(isMain: true, sort: POPULARITY_DESC, perPage: 3) { nodes { id title { romaji english } } }
+        }
+      }
+    }
+  }
+}`;
+
 const Q_MEDIA_DETAILS = `
 query ($ids: [Int]) {
   Page(perPage: 50) {
@@ -76,17 +105,19 @@ query ($mediaId: Int!, $page: Int) {
 const MAX_RETRIES = 5;
 
 async function gql(query, variables = {}, attempt = 0) {
-  // Délai inter-requête pour éviter le rate limit (1s entre chaque appel)
-  await new Promise(r => setTimeout(r, attempt === 0 ? 300 : 0));
-
-  const res = await fetch(API, {
+  // Budget AniList partagé avec l'extension (ratelimit.js) : 429 déjà réessayés
+  const res = await RateLimiter.fetch(API, {
     method: "POST",
     headers: { "Content-Type": "application/json", "Accept": "application/json" },
     body: JSON.stringify({ query, variables }),
   });
 
-  // Retry sur 429 (rate limit) ou 500 (erreur serveur temporaire)
-  if (res.status === 429 || res.status === 500) {
+  if (res.status === 429) {
+    throw new Error("API AniList surchargée (trop de requêtes). Réessaie dans 1-2 minutes.");
+  }
+
+  // Retry sur 500 (erreur serveur temporaire)
+  if (res.status === 500) {
     if (attempt >= MAX_RETRIES) {
       throw new Error("API AniList surchargée (trop de requêtes). Réessaie dans 1-2 minutes.");
     }
@@ -133,6 +164,19 @@ async function runAll() {
   btn.textContent = "⏳ Chargement…";
   out.innerHTML = '<div class="status">Récupération des données pour <strong>' + esc(username) + '</strong>…</div>';
 
+  // Attente du rate limit : remplace temporairement le message d'étape
+  const stopWait = RateLimiter.onWait(seconds => {
+    const status = out.querySelector(".status");
+    if (!status) return;
+    if (seconds) {
+      if (!status.dataset.step) status.dataset.step = status.innerHTML;
+      status.innerHTML = "⏳ En attente du rate limit AniList (" + seconds + " s)…";
+    } else if (status.dataset.step) {
+      status.innerHTML = status.dataset.step;
+      delete status.dataset.step;
+    }
+  });
+
   try {
     // 1. Favoris (IDs seulement, comme le popup)
     out.innerHTML = '<div class="status">⏳ Étape 1/5 — Récupération des favoris…</div>';
@@ -146,6 +190,9 @@ async function runAll() {
       hasNext = anime.pageInfo.hasNextPage;
       page++;
     }
+    // Personnages, staff et studios favoris (sources d'appoint, 1re page)
+    const peopleData = await gql(Q_FAVOURITE_PEOPLE, { username });
+    const favPeople = peopleData.User.favourites;
 
     // 2. Détails des favoris (requête séparée, plus stable)
     out.innerHTML = '<div class="status">⏳ Étape 2/5 — Détails des ' + favNodes.length + ' favoris…</div>';
@@ -203,21 +250,29 @@ async function runAll() {
     }
 
     // Render
-    out.innerHTML = renderAll(username, favourites, allEntries, genreSorted, maxGenre, tagSorted, sampleSource, sampleRecs);
+    out.innerHTML = renderAll(username, favourites, favPeople, allEntries, genreSorted, maxGenre, tagSorted, sampleSource, sampleRecs);
 
   } catch (err) {
     out.innerHTML = '<div class="section"><p class="error">❌ ' + esc(err.message) + '</p></div>';
   } finally {
+    stopWait();
     btn.disabled = false;
     btn.textContent = "🔍 Analyser";
   }
 }
 
-function renderAll(username, favourites, allEntries, genreSorted, maxGenre, tagSorted, sampleSource, sampleRecs) {
+function renderAll(username, favourites, favPeople, allEntries, genreSorted, maxGenre, tagSorted, sampleSource, sampleRecs) {
   const top50 = allEntries.filter(e => e.status !== "PLANNING" && e.score > 0).slice(0, 50);
   const planning = allEntries.filter(e => e.status === "PLANNING");
   const favIds = new Set(favourites.map(f => f.id));
   const topOnly = top50.filter(e => !favIds.has(e.mediaId));
+  // Même ordre et mêmes poids par défaut que le moteur (5 max par catégorie)
+  const people = [
+    { icon: "☺", label: "Personnage", weight: 1,    nodes: favPeople.characters.nodes, media: n => n.media,      url: "character" },
+    { icon: "♪", label: "Staff",      weight: 0.75, nodes: favPeople.staff.nodes,      media: n => n.staffMedia, url: "staff" },
+    { icon: "🏢", label: "Studio",    weight: 0.5,  nodes: favPeople.studios.nodes,    media: n => n.media,      url: "studio" },
+  ];
+  const peopleCount = people.reduce((sum, p) => sum + p.nodes.length, 0);
 
   let html = '';
 
@@ -229,6 +284,7 @@ function renderAll(username, favourites, allEntries, genreSorted, maxGenre, tagS
   html += 'Tu peux modifier la query et cliquer "Play" pour tester.</p>';
   html += '<div style="display:flex;flex-wrap:wrap;gap:8px;">';
   html += '<a class="gql-link" href="' + graphiqlLink(Q_FAVOURITES, { username, page: 1 }) + '" target="_blank">⭐ Mes favoris (GraphQL)</a>';
+  html += '<a class="gql-link" href="' + graphiqlLink(Q_FAVOURITE_PEOPLE, { username }) + '" target="_blank">♪ Personnages / staff / studios favoris (GraphQL)</a>';
   html += '<a class="gql-link" href="' + graphiqlLink(Q_LIST, { username }) + '" target="_blank">📋 Ma liste complète (GraphQL)</a>';
   if (sampleSource) {
     html += '<a class="gql-link" href="' + graphiqlLink(Q_RECS, { mediaId: sampleSource.id, page: 1 }) + '" target="_blank">💡 Recos de "' + esc(getTitle(sampleSource)) + '" (GraphQL)</a>';
@@ -250,6 +306,24 @@ function renderAll(username, favourites, allEntries, genreSorted, maxGenre, tagS
   });
   html += '</tbody></table></div>';
 
+  // PERSONNAGES / STAFF / STUDIOS
+  html += '<div class="section">';
+  html += '<h2>♪ Personnages, staff et studios favoris <span class="count">' + peopleCount + '</span>';
+  html += ' <a class="gql-link" href="' + graphiqlLink(Q_FAVOURITE_PEOPLE, { username }) + '" target="_blank">GraphQL</a></h2>';
+  html += '<p style="color:var(--muted);font-size:.82rem;margin-bottom:10px;">Les 5 premiers de chaque catégorie = sources : titres où apparaît le personnage, réalisés / doublés par le staff, produits par le studio</p>';
+  html += '<table><thead><tr><th>#</th><th>Type</th><th>Nom</th><th>Poids</th><th>Titres phares</th></tr></thead><tbody>';
+  people.forEach(p => {
+    p.nodes.forEach((n, i) => {
+      const name = n.name.full || n.name;
+      html += '<tr' + (i >= 5 ? ' style="opacity:.5"' : '') + '><td>' + (i+1) + '</td>';
+      html += '<td>' + p.icon + ' ' + p.label + '</td>';
+      html += '<td><a href="https://anilist.co/' + p.url + '/' + n.id + '" target="_blank" style="color:var(--text);text-decoration:none;">' + esc(name) + '</a></td>';
+      html += '<td class="score">' + (i < 5 ? '×' + p.weight : '-') + '</td>';
+      html += '<td>' + (p.media(n)?.nodes || []).map(m => '<span class="tag">' + esc(getTitle(m)) + '</span>').join(" ") + '</td></tr>';
+    });
+  });
+  html += '</tbody></table></div>';
+
   // TOP NOTÉS
   html += '<div class="section">';
   html += '<h2>▲ Top notés (hors favoris) <span class="count">' + topOnly.length + '</span>';
@@ -318,15 +392,17 @@ function renderAll(username, favourites, allEntries, genreSorted, maxGenre, tagS
   html += '<div class="section"><h2>⚙️ Résumé de l\'algorithme</h2><table><tbody>';
   html += '<tr><td>Sources favoris</td><td><strong>' + favourites.length + '</strong> × poids 2</td></tr>';
   html += '<tr><td>Sources top notés</td><td><strong>' + topOnly.length + '</strong> × poids 1</td></tr>';
+  html += '<tr><td>Sources personnages / staff / studios</td><td>' + people.map(p => '<strong>' + Math.min(p.nodes.length, 5) + '</strong> × poids ' + p.weight).join(" · ") + '</td></tr>';
   html += '<tr><td>Bonus tag commun</td><td>+0.5/tag (max 3 = +1.5)</td></tr>';
   html += '<tr><td>Bonus genre commun</td><td>+0.3/genre (max 3 = +0.9)</td></tr>';
-  html += '<tr><td>Diversité genre</td><td>Max 5 du même genre principal dans le top</td></tr>';
+  html += '<tr><td>Diversité</td><td>Re-classement MMR sur la similarité tags / genres (0.3 par défaut)</td></tr>';
   html += '<tr><td>Cache</td><td>30 minutes</td></tr>';
   html += '</tbody></table></div>';
 
   // JSON BRUT
   html += '<div class="section"><h2>📦 Données brutes</h2>';
   html += '<details><summary>Favoris JSON</summary><div class="raw-json">' + esc(JSON.stringify(favourites, null, 2)) + '</div></details>';
+  html += '<details><summary>Personnages / staff / studios JSON</summary><div class="raw-json">' + esc(JSON.stringify(favPeople, null, 2)) + '</div></details>';
   html += '<details><summary>Tags JSON</summary><div class="raw-json">' + esc(JSON.stringify(tagSorted.slice(0, 50), null, 2)) + '</div></details>';
   html += '<details><summary>Genres JSON</summary><div class="raw-json">' + esc(JSON.stringify(genreSorted, null, 2)) + '</div></details>';
   html += '</div>';
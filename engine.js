@@ -0,0 +1,2532 @@
+/* ═══════════════════════════════════════════════════════════════════════════
+   AniList Smart Recommendations v2.0 — engine.js
+   ─────────────────────────────────────────────────
+   Moteur sans DOM, partagé par la popup et le service worker (background.js) :
+     • AuthManager            → OAuth2 AniList + gestion du token
+     • SettingsManager        → Réglages du scoring (chrome.storage)
+     • BlocklistManager       → Titres masqués, franchises et tags bloqués
+     • MalImportManager       → Export MyAnimeList importé comme liste de goûts
+     • RecommendationEngine   → Logique de calcul pure (GraphQL, scoring, sources)
+     • ResultCache            → Résultats classés + candidats bruts, par utilisateur et par mode
+     • SourceCache            → Recos AniList par source + instantanés de listes (diff à chaque analyse)
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+"use strict";
+
+// ─── Constants ──────────────────────────────────────────────────────────────
+const ANILIST_API     = "https://graphql.anilist.co";
+const ANILIST_AUTH_URL = "https://anilist.co/api/v2/oauth/authorize";
+const CACHE_TTL_MS     = 24 * 60 * 60 * 1000; // 24 heures
+const CACHE_INDEX_KEY  = "recoCacheIndex";
+const CACHE_MAX_ENTRIES = 24;               // profils × modes gardés en cache (LRU)
+const CACHE_MAX_BYTES  = 6 * 1024 * 1024;   // part des 10 Mo de chrome.storage.local réservée au cache
+const SOURCE_CACHE_KEY = "recoSourceCache";
+const SOURCE_CACHE_TTL_MS   = 3 * 24 * 60 * 60 * 1000; // recos d'une source : 3 jours
+const SOURCE_CACHE_MAX_BYTES = 2.5 * 1024 * 1024;
+const SOURCE_CACHE_VERSION = 2;             // à incrémenter quand MEDIA_FIELDS change (v2 : studios + staff)
+const LIST_SNAPSHOT_KEY = "recoListSnapshots";
+const LIST_SNAPSHOT_MAX = 10;               // listes (utilisateur × type) gardées pour le diff
+const MEDIA_TYPES      = ["ANIME", "MANGA"];
+const BRIDGE_RELATIONS = ["ADAPTATION", "SOURCE"]; // liens anime ↔ manga pour le mode croisé
+const FRANCHISE_RELATIONS = [                     // liens considérés comme "même franchise"
+  "PREQUEL", "SEQUEL", "PARENT", "SIDE_STORY", "SPIN_OFF",
+  "ALTERNATIVE", "SUMMARY", "COMPILATION", "ADAPTATION", "SOURCE",
+];
+const BLOCKED_TAG_MIN_RANK = 40;          // un tag bloqué n'exclut que s'il est assez central (rank %)
+const SCORE_FACTOR_RANGE = [0.25, 2.5];   // bornes du multiplicateur de note personnelle
+const NEGATIVE_Z       = -0.5;            // sous ce z-score, une note compte comme signal négatif
+const FRANCHISE_MAX_DEPTH = 4;            // tours max pour remonter une chaîne de préquelles
+const CONTINUE_LANE_MAX   = 20;           // max de suites dans "Continuer la série"
+const CONTINUE_LANE_SCAN  = 200;          // titres terminés (mieux notés d'abord) dont on lit les relations pour cette lane
+const RECS_PER_SOURCE  = [15, 50, 50];    // recos lues par page et par source selon la profondeur d'exploration
+const RECS_MAX_PAGES   = [1, 3, 3];       // pages lues par source (tant que hasNextPage) selon la profondeur
+const SECOND_HOP_SEEDS = 12;              // candidats dont on suit les recos en profondeur 2
+const SEASONS          = ["WINTER", "SPRING", "SUMMER", "FALL"];
+const SEASON_MAX_PAGES = 4;               // 4 × 50 titres par saison, triés par popularité
+const PEOPLE_MEDIA_PER_SOURCE = 10;      // titres lus par personnage / staff / studio favori (tri popularité)
+const BULK_SAVE_CHUNK  = 25;              // titres par mutation aliasée (ajout groupé)
+const STAFF_PER_MEDIA  = 6;               // staff lu par titre (tri RELEVANCE), filtré sur KEY_STAFF_ROLES
+const KEY_STAFF_ROLES  = ["Director", "Series Composition", "Original Creator", "Original Story", "Story & Art", "Story", "Art", "Character Design"];
+const AFFINITY_FULL_WEIGHT = 4;           // poids cumulé (≈ 2 favoris) pour qu'un studio / membre du staff compte en entier
+const AFFINITY_MAX_BONUS   = 1.5;         // plafond du bonus studio + staff
+const MMR_WINDOW       = 100;             // places du classement réordonnées par diversité (MMR), le reste suit le score
+const MMR_GENRE_WEIGHT = 0.6;             // poids d'un genre dans le vecteur de similarité (un tag pèse rank / 100)
+
+/** Types de raisons d'une recommandation : icône + libellé (cartes, backstage, console). */
+const REASON_TYPES = {
+  "favori":   { icon: "★", label: "Favori" },
+  "top noté": { icon: "▲", label: "Top noté" },
+  "négatif":  { icon: "✖", label: "Pénalité" },
+  "suite":    { icon: "▶", label: "Suite" },
+  "personnage": { icon: "☺", label: "Personnage favori" },
+  "staff":    { icon: "♪", label: "Staff favori" },
+  "studio":   { icon: "🏢", label: "Studio favori" },
+};
+
+/** Badges de statut de diffusion affichés sur les cartes. */
+const MEDIA_STATUS_BADGES = {
+  RELEASING:        { label: "En cours", cls: "releasing" },
+  NOT_YET_RELEASED: { label: "À venir",  cls: "upcoming" },
+};
+
+// ─── Réglages du scoring (modifiables depuis le panneau ⚙️) ──────────────────
+const DEFAULT_SETTINGS = {
+  weightFavourite: 2,     // poids d'une source favorite
+  weightTopRated:  1,     // poids d'une source top notée (à la moyenne personnelle)
+  scoreSensitivity:0.5,   // variation du poids top noté par écart-type au-dessus de la moyenne
+  weightCharacter: 1,     // poids d'un personnage favori (titres où il apparaît)
+  weightStaff:     0.75,  // poids d'un membre du staff favori (titres réalisés, écrits ou doublés)
+  weightStudio:    0.5,   // poids d'un studio favori (ses productions les plus populaires)
+  weightNegative:  1,     // pénalité d'une source abandonnée / mal notée
+  negativeTagPull: 1,     // force avec laquelle ces sources tirent le profil de tags vers le bas
+  tagBonus:        0.5,   // bonus par tag commun (max 3 tags = +1.5)
+  genreBonus:      0.3,   // bonus par genre commun avec profil (max 3 = +0.9)
+  studioBonus:     0.5,   // bonus d'un studio apprécié (à poids plein)
+  staffBonus:      0.4,   // bonus d'un membre clé du staff apprécié (réalisation, auteur…) — studio + staff max +1.5
+  ratingInfluence: 0.5,   // part du poids modulée par le rating communautaire de la reco (0 = ignoré)
+  hopDecay:        0.5,   // poids d'une reco au second degré (source → candidat → reco)
+  diversity:       0.3,   // MMR : 0 = score seul, 1 = variété maximale (similarité tags / genres avec les titres déjà placés)
+  maxFavSources:   15,    // max favoris utilisés comme source
+  maxTopSources:   10,    // max top notés utilisés comme source
+  maxNegSources:   10,    // max sources négatives (abandonnés / sous la moyenne)
+  maxPeopleSources:5,     // max personnages, staff et studios favoris utilisés comme source (chacun)
+  explorationDepth:0,     // 0 = top 15 par source, 1 = jusqu'à 3 pages de 50, 2 = + recos des meilleurs candidats
+};
+
+/** Description des curseurs du panneau de réglages (ordre d'affichage). */
+const SETTINGS_SCHEMA = [
+  { key: "weightFavourite", label: "Poids favori",          min: 0, max: 5,   step: 0.5 },
+  { key: "weightTopRated",  label: "Poids top noté",        min: 0, max: 5,   step: 0.5 },
+  { key: "scoreSensitivity",label: "Influence de votre note", min: 0, max: 1, step: 0.1 },
+  { key: "weightCharacter", label: "Poids personnage favori", min: 0, max: 5, step: 0.25 },
+  { key: "weightStaff",     label: "Poids staff favori",    min: 0, max: 5,   step: 0.25 },
+  { key: "weightStudio",    label: "Poids studio favori",   min: 0, max: 5,   step: 0.25 },
+  { key: "tagBonus",        label: "Bonus / tag commun",    min: 0, max: 2,   step: 0.1 },
+  { key: "genreBonus",      label: "Bonus / genre commun",  min: 0, max: 2,   step: 0.1 },
+  { key: "studioBonus",     label: "Bonus / studio apprécié", min: 0, max: 2, step: 0.1 },
+  { key: "staffBonus",      label: "Bonus / staff apprécié", min: 0, max: 2,  step: 0.1 },
+  { key: "ratingInfluence", label: "Influence des votes AniList", min: 0, max: 1, step: 0.1 },
+  { key: "hopDecay",        label: "Poids des recos au 2ᵉ degré", min: 0, max: 1, step: 0.1 },
+  { key: "weightNegative",  label: "Pénalité abandonné / mal noté", min: 0, max: 5, step: 0.5 },
+  { key: "negativeTagPull", label: "Rejet des tags (abandonnés)", min: 0, max: 2, step: 0.1 },
+  { key: "diversity",       label: "Diversité (pertinence ↔ variété)", min: 0, max: 1, step: 0.05 },
+  { key: "maxFavSources",   label: "Sources favoris (max)", min: 0, max: 25,  step: 1, fetch: true },
+  { key: "maxTopSources",   label: "Sources top notés (max)", min: 0, max: 25, step: 1, fetch: true },
+  { key: "maxNegSources",   label: "Sources négatives (max)", min: 0, max: 25, step: 1, fetch: true },
+  { key: "maxPeopleSources",label: "Sources personnages / staff / studios (max)", min: 0, max: 25, step: 1, fetch: true },
+  { key: "explorationDepth",label: "Profondeur d'exploration", min: 0, max: 2, step: 1, fetch: true },
+];
+
+/** Préréglages nommés — appliqués par-dessus DEFAULT_SETTINGS. */
+const SETTINGS_PRESETS = {
+  balanced:  { label: "⚖️ Équilibré",       values: {} },
+  favourites:{ label: "★ Favoris d'abord",  values: { weightFavourite: 4, weightTopRated: 0.5, tagBonus: 0.3, genreBonus: 0.2 } },
+  profile:   { label: "🏷️ Profil de tags",  values: { weightFavourite: 1, weightTopRated: 1, tagBonus: 1.2, genreBonus: 0.6 } },
+  community: { label: "👍 Communauté",       values: { ratingInfluence: 1 } },
+  discovery: { label: "🧭 Découverte",       values: { weightFavourite: 1.5, weightTopRated: 1.5, diversity: 0.6, maxTopSources: 20, explorationDepth: 2 } },
+};
+
+// Client ID chargé depuis config.js — NE PAS modifier ici
+const ANILIST_CLIENT_ID = (typeof CONFIG !== "undefined" && CONFIG.ANILIST_CLIENT_ID !== "YOUR_CLIENT_ID")
+  ? CONFIG.ANILIST_CLIENT_ID
+  : "YOUR_CLIENT_ID";
+
+/** Découpe un tableau en lots de `size` éléments. */
+const chunks = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+/** ANIME ↔ MANGA. */
+const otherMediaType = (type) => type === "MANGA" ? "ANIME" : "MANGA";
+
+/** Membres clés du staff d'un média (rôle sans sa précision entre parenthèses), une fois chacun. */
+const keyStaff = (media) => {
+  const seen = new Set();
+  return (media.staff?.edges || [])
+    .map(e => ({ id: e.node?.id, name: e.node?.name?.full, role: (e.role || "").replace(/\s*\(.*\)\s*$/, "") }))
+    .filter(st => st.id && KEY_STAFF_ROLES.includes(st.role) && !seen.has(st.id) && seen.add(st.id));
+};
+
+/** Saison AniList d'une date (hiver = janvier → mars). */
+const seasonOf = (date = new Date()) => ({ season: SEASONS[Math.floor(date.getMonth() / 3)], year: date.getFullYear() });
+
+/** Saison suivante (l'automne passe à l'hiver de l'année suivante). */
+const nextSeason = ({ season, year }) => {
+  const i = SEASONS.indexOf(season);
+  return i === SEASONS.length - 1 ? { season: SEASONS[0], year: year + 1 } : { season: SEASONS[i + 1], year };
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  GraphQL Queries & Mutations
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Studios principaux et staff le plus pertinent (affinité studio / staff). */
+const CREDITS_FIELDS = `
+  studios(isMain: true) { nodes { id name } }
+  staff(sort: RELEVANCE, perPage: ${STAFF_PER_MEDIA}) { edges { role node { id name { full } } } }
+`;
+
+/**
+ * Champs media communs à toutes les requêtes qui alimentent une carte.
+ * Couvre anime ET manga (chapters/volumes/startDate pour les manga).
+ */
+const MEDIA_FIELDS = `
+  id
+  idMal
+  type
+  title { romaji english }
+  coverImage { large extraLarge }
+  format
+  episodes
+  chapters
+  volumes
+  season
+  seasonYear
+  startDate { year }
+  status
+  meanScore
+  popularity
+  isAdult
+  genres
+  tags { name rank }
+  siteUrl
+  ${CREDITS_FIELDS}
+`;
+
+const QUERIES = {
+
+  /** Profil du viewer authentifié. */
+  VIEWER: `
+    query {
+      Viewer {
+        id
+        name
+        avatar { medium large }
+      }
+    }
+  `,
+
+  /** Personnages, staff et studios favoris (première page de chaque). */
+  USER_FAVOURITE_PEOPLE: `
+    query ($username: String!) {
+      User(name: $username) {
+        favourites {
+          characters(perPage: 25) { nodes { id name { full } } }
+          staff(perPage: 25) { nodes { id name { full } } }
+          studios(perPage: 25) { nodes { id name } }
+        }
+      }
+    }
+  `,
+
+  /** Favoris animés ou manga (paginés) + titre source pour la justification. */
+  USER_FAVOURITES: `
+    query ($username: String!, $page: Int, $anime: Boolean!, $manga: Boolean!) {
+      User(name: $username) {
+        favourites {
+          anime(page: $page, perPage: 25) @include(if: $anime) {
+            pageInfo { hasNextPage }
+            nodes {
+              id
+              title { romaji english }
+            }
+          }
+          manga(page: $page, perPage: 25) @include(if: $manga) {
+            pageInfo { hasNextPage }
+            nodes {
+              id
+              title { romaji english }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /** Liste complète (tous statuts) d'un type de média, triée par score, avec tags et statut. */
+  USER_LIST: `
+    query ($username: String!, $type: MediaType) {
+      MediaListCollection(userName: $username, type: $type, sort: SCORE_DESC) {
+        lists {
+          status
+          entries {
+            mediaId
+            score(format: POINT_10)
+            status
+            media {
+              title { romaji english }
+              genres
+              tags { name rank }
+              ${CREDITS_FIELDS}
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /** Correspondance MyAnimeList → AniList (50 IDs MAL par page). */
+  MEDIA_BY_MAL_IDS: `
+    query ($ids: [Int], $type: MediaType) {
+      Page(perPage: 50) {
+        media(idMal_in: $ids, type: $type) {
+          id
+          idMal
+        }
+      }
+    }
+  `,
+
+  /** Champs de liste (comme USER_LIST) d'un lot de médias : titres importés absents de la liste AniList. */
+  LIST_MEDIA_BY_IDS: `
+    query ($ids: [Int]) {
+      Page(perPage: 50) {
+        media(id_in: $ids) {
+          id
+          title { romaji english }
+          genres
+          tags { name rank }
+          ${CREDITS_FIELDS}
+        }
+      }
+    }
+  `,
+
+  /** Médias complets par IDs (50 max par page). */
+  MEDIA_BY_IDS: `
+    query ($ids: [Int]) {
+      Page(perPage: 50) {
+        media(id_in: $ids) {
+          ${MEDIA_FIELDS}
+        }
+      }
+    }
+  `,
+
+  /** Relations directes d'un lot de médias (préquelles / suites). */
+  MEDIA_RELATIONS: `
+    query ($ids: [Int]) {
+      Page(perPage: 50) {
+        media(id_in: $ids) {
+          id
+          relations {
+            edges {
+              relationType(version: 2)
+              node { id type }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /** Relations sur deux niveaux — sert à bloquer une franchise entière. */
+  MEDIA_FRANCHISE: `
+    query ($mediaId: Int!) {
+      Media(id: $mediaId) {
+        id
+        relations {
+          edges {
+            relationType(version: 2)
+            node {
+              id
+              relations {
+                edges {
+                  relationType(version: 2)
+                  node { id }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /** Animes d'une saison (paginés, par popularité) + studios et préquelles. */
+  SEASON_MEDIA: `
+    query ($season: MediaSeason, $seasonYear: Int, $page: Int) {
+      Page(page: $page, perPage: 50) {
+        pageInfo { hasNextPage }
+        media(season: $season, seasonYear: $seasonYear, type: ANIME, isAdult: false, sort: POPULARITY_DESC) {
+          ${MEDIA_FIELDS}
+          relations {
+            edges {
+              relationType(version: 2)
+              node { id type }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /** Entrée de liste et favori du viewer pour un titre (menu d'une carte). */
+  MEDIA_LIST_ENTRY: `
+    query ($mediaId: Int!) {
+      Media(id: $mediaId) {
+        isFavourite
+        mediaListEntry { id status score(format: POINT_10) }
+      }
+    }
+  `,
+
+  /** Mutation : Ajouter ou modifier un média dans la liste (PLANNING par défaut, note sur 100). */
+  SAVE_MEDIA: `
+    mutation ($mediaId: Int!, $status: MediaListStatus = PLANNING, $scoreRaw: Int) {
+      SaveMediaListEntry(mediaId: $mediaId, status: $status, scoreRaw: $scoreRaw) {
+        id
+        status
+        score(format: POINT_10)
+      }
+    }
+  `,
+
+  /** Listes personnalisées du viewer, par type de média. */
+  VIEWER_CUSTOM_LISTS: `
+    query {
+      Viewer {
+        mediaListOptions {
+          animeList { customLists }
+          mangaList { customLists }
+        }
+      }
+    }
+  `,
+
+  /** Entrées déjà présentes dans la liste du viewer : listes perso cochées et note. */
+  VIEWER_ENTRIES: `
+    query ($userId: Int, $ids: [Int]) {
+      Page(perPage: 50) {
+        mediaList(userId: $userId, mediaId_in: $ids) {
+          mediaId
+          notes
+          customLists(asArray: true)
+        }
+      }
+    }
+  `,
+
+  /** Mutation : Ajouter / retirer un favori (animeId ou mangaId). */
+  TOGGLE_FAVOURITE: `
+    mutation ($animeId: Int, $mangaId: Int) {
+      ToggleFavourite(animeId: $animeId, mangaId: $mangaId) {
+        anime(page: 1, perPage: 1) { pageInfo { total } }
+      }
+    }
+  `,
+
+  /** Mutation : Supprimer une entrée de liste. */
+  DELETE_MEDIA_ENTRY: `
+    mutation ($id: Int!) {
+      DeleteMediaListEntry(id: $id) {
+        deleted
+      }
+    }
+  `,
+};
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  AuthManager — OAuth2 AniList + gestion du token
+// ═══════════════════════════════════════════════════════════════════════════
+
+class AuthManager {
+
+  static _token = null;
+  static _viewer = null;
+
+  /** Charge le token et le viewer stockés, vérifie la validité. */
+  static async init() {
+    try {
+      const { anilistToken, anilistViewer } = await chrome.storage.local.get(["anilistToken", "anilistViewer"]);
+      if (anilistToken) {
+        this._token = anilistToken;
+        // Restaurer le viewer depuis le storage (instantané, pas d'API call)
+        if (anilistViewer) {
+          this._viewer = anilistViewer;
+        } else {
+          // Fallback: fetch du viewer si pas en cache
+          this._viewer = await this._fetchViewer();
+          chrome.storage.local.set({ anilistViewer: this._viewer });
+        }
+        return true;
+      }
+    } catch {
+      await this.logout();
+    }
+    return false;
+  }
+
+  /** Lance le flow OAuth2 via chrome.identity. */
+  static async login() {
+    if (!ANILIST_CLIENT_ID || ANILIST_CLIENT_ID === "YOUR_ANILIST_CLIENT_ID") {
+      throw new Error(
+        "Client ID non configuré. Créez une app sur https://anilist.co/settings/developer, " +
+        "puis collez votre Client ID dans popup.js (ligne ANILIST_CLIENT_ID)."
+      );
+    }
+    const redirectUri = chrome.identity.getRedirectURL();
+    console.log("[Auth] Redirect URI:", redirectUri);
+
+    // AniList implicit grant : pas de redirect_uri dans l'URL,
+    // AniList utilise celle configurée dans les settings développeur.
+    const authUrl =
+      `${ANILIST_AUTH_URL}?client_id=${ANILIST_CLIENT_ID}` +
+      `&response_type=token`;
+
+    console.log("[Auth] Auth URL:", authUrl);
+
+    return new Promise((resolve, reject) => {
+      chrome.identity.launchWebAuthFlow(
+        { url: authUrl, interactive: true },
+        (responseUrl) => {
+          console.log("[Auth] Response URL:", responseUrl);
+          if (chrome.runtime.lastError || !responseUrl) {
+            const errMsg = chrome.runtime.lastError?.message || "Authentification annulée";
+            console.error("[Auth] Erreur:", errMsg);
+            reject(new Error(errMsg));
+            return;
+          }
+          const hashParams = new URLSearchParams(responseUrl.split("#")[1]);
+          const token = hashParams.get("access_token");
+          if (!token) { reject(new Error("Aucun token dans la réponse")); return; }
+
+          this._token = token;
+          chrome.storage.local.set({ anilistToken: token });
+          // Fetch and persist viewer profile
+          this._fetchViewer().then(viewer => {
+            chrome.storage.local.set({ anilistViewer: viewer });
+          }).catch(() => {});
+          resolve(token);
+        }
+      );
+    });
+  }
+
+  /** Déconnexion — efface token, viewer et caches de résultats (tous types de média). */
+  static async logout() {
+    this._token = null;
+    this._viewer = null;
+    const all = await chrome.storage.local.get(null);
+    const cacheKeys = Object.keys(all).filter(k => k.startsWith("recoCache"));
+    await chrome.storage.local.remove(["anilistToken", "anilistViewer", LIST_SNAPSHOT_KEY, ...cacheKeys]);
+  }
+
+  /**
+   * Requête GraphQL via RateLimiter (budget AniList partagé, retry sur 429).
+   * @param {{ signal?: AbortSignal }} options — `signal` annule l'attente et le fetch
+   */
+  static async gqlRequest(query, variables = {}, { signal } = {}) {
+    const headers = {
+      "Content-Type": "application/json",
+      "Accept": "application/json",
+    };
+    if (this._token) headers["Authorization"] = `Bearer ${this._token}`;
+
+    const payload = { query, variables };
+    const body = JSON.stringify(payload);
+
+    // 🔍 Console: requête GraphQL sortante
+    const queryName = query.match(/^\s*(query|mutation)\s+(\w+)?/m);
+    const label = queryName ? (queryName[2] || queryName[1]) : "anonymous";
+    console.groupCollapsed(`[GQL →] ${label}  vars=${JSON.stringify(variables)}`);
+    console.log("Query:", query.trim());
+    console.log("Variables:", variables);
+    console.groupEnd();
+
+    const res = await RateLimiter.fetch(ANILIST_API, { method: "POST", headers, body, signal });
+    if (res.status === 429) throw new Error("AniList API: Too Many Requests.");
+
+    let json;
+    try { json = await res.json(); } catch {
+      throw new Error(`AniList API ${res.status}: réponse non-JSON`);
+    }
+
+    if (json.errors && json.errors.length > 0) {
+      const msg = json.errors.map(e => e.message).join(", ");
+      if (msg.toLowerCase().includes("invalid token") || res.status === 401) {
+        await this.logout();
+        throw new Error("TOKEN_EXPIRED");
+      }
+      // Requête aliasée : les alias réussis restent lisibles par l'appelant
+      const err = new Error(`AniList API: ${msg}`);
+      err.data   = json.data || null;
+      err.errors = json.errors;
+      throw err;
+    }
+
+    if (!res.ok && !json.data) throw new Error(`AniList API ${res.status}`);
+
+    // 🔍 Console: réponse GraphQL
+    console.groupCollapsed(`[GQL ←] ${label}  status=${res.status}`);
+    console.log("Data:", json.data);
+    console.groupEnd();
+
+    return json.data;
+  }
+
+  /** Récupère le profil Viewer et le persiste. */
+  static async _fetchViewer() {
+    const data = await this.gqlRequest(QUERIES.VIEWER);
+    if (!data.Viewer) throw new Error("Pas de viewer");
+    this._viewer = data.Viewer;
+    chrome.storage.local.set({ anilistViewer: data.Viewer });
+    return data.Viewer;
+  }
+
+  static get token()      { return this._token; }
+  static get viewer()     { return this._viewer; }
+  static get isLoggedIn() { return !!this._token && !!this._viewer; }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SettingsManager — Réglages du scoring (chrome.storage)
+// ═══════════════════════════════════════════════════════════════════════════
+
+class SettingsManager {
+
+  static _settings = { ...DEFAULT_SETTINGS };
+
+  /** Charge les réglages stockés (fusionnés avec les valeurs par défaut). */
+  static async load() {
+    try {
+      const { recoSettings } = await chrome.storage.local.get("recoSettings");
+      this._settings = this._sanitize(recoSettings);
+    } catch {
+      this._settings = { ...DEFAULT_SETTINGS };
+    }
+    return this.current;
+  }
+
+  /** Met à jour une partie des réglages et les persiste. */
+  static async update(partial) {
+    this._settings = this._sanitize({ ...this._settings, ...partial });
+    await chrome.storage.local.set({ recoSettings: this._settings });
+    return this.current;
+  }
+
+  /** Applique un préréglage nommé de SETTINGS_PRESETS. */
+  static async applyPreset(name) {
+    const preset = SETTINGS_PRESETS[name];
+    if (!preset) throw new Error(`Préréglage inconnu : ${name}`);
+    return this.update({ ...DEFAULT_SETTINGS, ...preset.values });
+  }
+
+  /** Nom du préréglage correspondant exactement aux réglages courants, ou null. */
+  static matchingPreset() {
+    return Object.keys(SETTINGS_PRESETS).find(name => {
+      const values = { ...DEFAULT_SETTINGS, ...SETTINGS_PRESETS[name].values };
+      return SETTINGS_SCHEMA.every(({ key }) => values[key] === this._settings[key]);
+    }) || null;
+  }
+
+  /** Ne garde que les clés connues, bornées selon SETTINGS_SCHEMA. */
+  static _sanitize(stored) {
+    const out = { ...DEFAULT_SETTINGS };
+    for (const { key, min, max } of SETTINGS_SCHEMA) {
+      const v = Number(stored?.[key]);
+      if (Number.isFinite(v)) out[key] = Math.min(max, Math.max(min, v));
+    }
+    return out;
+  }
+
+  static get current() { return { ...this._settings }; }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  BlocklistManager — Titres masqués, franchises et tags bloqués (chrome.storage)
+// ═══════════════════════════════════════════════════════════════════════════
+//  {
+//    media:      { [id]: { id, title, cover, type, at } },
+//    franchises: { [id]: { id, title, ids: [..], at } },
+//    tags:       [name, …],
+//  }
+// ═══════════════════════════════════════════════════════════════════════════
+
+class BlocklistManager {
+
+  static _data = { media: {}, franchises: {}, tags: [] };
+
+  static async load() {
+    try {
+      const { recoBlocklist } = await chrome.storage.local.get("recoBlocklist");
+      this._data = {
+        media:      recoBlocklist?.media      || {},
+        franchises: recoBlocklist?.franchises || {},
+        tags:       recoBlocklist?.tags       || [],
+      };
+    } catch {}
+    return this.current;
+  }
+
+  static async _save() {
+    await chrome.storage.local.set({ recoBlocklist: this._data });
+  }
+
+  /** "Pas intéressé" — masque définitivement un titre. */
+  static async dismiss(media) {
+    this._data.media[media.id] = {
+      id:    media.id,
+      title: media.title.english || media.title.romaji || `#${media.id}`,
+      cover: media.coverImage?.large || "",
+      type:  media.type || "ANIME",
+      at:    Date.now(),
+    };
+    await this._save();
+  }
+
+  static async restore(mediaId) {
+    delete this._data.media[mediaId];
+    await this._save();
+  }
+
+  /** Bloque le titre et toutes les œuvres liées (suites, spin-offs, adaptations…). */
+  static async blockFranchise(media) {
+    const ids = await RecommendationEngine.fetchFranchiseIds(media.id);
+    this._data.franchises[media.id] = {
+      id:    media.id,
+      title: media.title.english || media.title.romaji || `#${media.id}`,
+      ids,
+      at:    Date.now(),
+    };
+    await this._save();
+  }
+
+  static async unblockFranchise(id) {
+    delete this._data.franchises[id];
+    await this._save();
+  }
+
+  static async blockTag(name) {
+    if (!this._data.tags.includes(name)) this._data.tags.push(name);
+    await this._save();
+  }
+
+  static async unblockTag(name) {
+    this._data.tags = this._data.tags.filter(t => t !== name);
+    await this._save();
+  }
+
+  /** Ensembles utilisés par RecommendationEngine.rankCandidates(). */
+  static exclusions() {
+    const ids = new Set(Object.keys(this._data.media).map(Number));
+    for (const f of Object.values(this._data.franchises)) f.ids.forEach(id => ids.add(id));
+    return { ids, tags: new Set(this._data.tags) };
+  }
+
+  static get current() { return this._data; }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  MalImportManager — Export XML MyAnimeList comme profil de goûts
+// ═══════════════════════════════════════════════════════════════════════════
+//  { [pseudo AniList en minuscules]: { [ANIME|MANGA]: { fileName, importedAt, total, unmatched,
+//    entries: [{ mediaId, status, score }] } } }
+//  Les détails des titres (tags, genres, crédits) sont relus au moment de l'analyse.
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Statuts MAL (libellés ou codes numériques) → statuts AniList. */
+const MAL_STATUS = {
+  "Watching": "CURRENT", "Reading": "CURRENT", "Completed": "COMPLETED", "On-Hold": "PAUSED",
+  "Dropped": "DROPPED", "Plan to Watch": "PLANNING", "Plan to Read": "PLANNING",
+  "1": "CURRENT", "2": "COMPLETED", "3": "PAUSED", "4": "DROPPED", "6": "PLANNING",
+};
+
+class MalImportManager {
+
+  static _data = {};
+
+  static async load() {
+    try {
+      const { recoMalImport = {} } = await chrome.storage.local.get("recoMalImport");
+      this._data = recoMalImport;
+      // Ancien format : un import global (entrées complètes), rattaché à aucun pseudo
+      if (recoMalImport.ANIME?.entries || recoMalImport.MANGA?.entries) {
+        console.log("[MAL] Ancien import sans pseudo abandonné — à réimporter");
+        this._data = {};
+        await this._save();
+      }
+    } catch {}
+  }
+
+  static _key(username) {
+    return username.trim().toLowerCase();
+  }
+
+  static async _save() {
+    await chrome.storage.local.set({ recoMalImport: this._data });
+  }
+
+  /**
+   * Importe un export MAL (animelist.xml / mangalist.xml) : lecture locale,
+   * correspondance des IDs MAL via `idMal_in`, puis stockage des seules
+   * entrées { mediaId, status, score } pour ce pseudo AniList. Remplace
+   * l'import précédent du même type pour ce pseudo.
+   * @param {Function} onProgress — (done, total)
+   */
+  static async importXml(username, text, fileName, onProgress = () => {}) {
+    const { type, items } = this.parseXml(text);
+    if (!items.length) throw new Error("Aucun titre trouvé dans cet export MyAnimeList.");
+
+    const byMal = new Map(items.map(i => [i.idMal, i]));
+    const ids = [...byMal.keys()];
+    const entries = [];
+    for (let i = 0; i < ids.length; i += 50) {
+      const data = await AuthManager.gqlRequest(QUERIES.MEDIA_BY_MAL_IDS, { ids: ids.slice(i, i + 50), type });
+      for (const media of (data.Page?.media || [])) {
+        const item = byMal.get(media.idMal);
+        if (item) entries.push({ mediaId: media.id, status: item.status, score: item.score });
+      }
+      onProgress(Math.min(i + 50, ids.length), ids.length);
+    }
+    entries.sort((a, b) => b.score - a.score);
+
+    const key = this._key(username);
+    this._data[key] = {
+      ...this._data[key],
+      [type]: {
+        fileName,
+        importedAt: Date.now(),
+        total:      items.length,
+        unmatched:  items.length - entries.length,
+        entries,
+      },
+    };
+    await this._save();
+    console.log(`[MAL] ${username} ${type} : ${entries.length}/${items.length} titres associés à AniList`);
+    return this._data[key][type];
+  }
+
+  static async remove(username, type) {
+    const key = this._key(username);
+    if (!this._data[key]) return;
+    delete this._data[key][type];
+    if (!Object.keys(this._data[key]).length) delete this._data[key];
+    await this._save();
+  }
+
+  /**
+   * Lecture de l'export XML sans DOMParser (absent du service worker).
+   * @returns {{ type: "ANIME"|"MANGA", items: { idMal, title, score, status }[] }}
+   */
+  static parseXml(text) {
+    const type  = /<manga>/.test(text) && !/<anime>/.test(text) ? "MANGA" : "ANIME";
+    const block = type === "MANGA" ? "manga" : "anime";
+    const field = (xml, name) => {
+      const m = xml.match(new RegExp(`<${name}>\\s*(?:<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>|([^<]*))\\s*</${name}>`));
+      return m ? (m[1] ?? m[2] ?? "").trim() : "";
+    };
+    const items = [];
+    for (const [, xml] of text.matchAll(new RegExp(`<${block}>([\\s\\S]*?)</${block}>`, "g"))) {
+      const idMal = parseInt(field(xml, type === "MANGA" ? "manga_mangadb_id" : "series_animedb_id"), 10);
+      if (!idMal) continue;
+      items.push({
+        idMal,
+        title:  field(xml, type === "MANGA" ? "manga_title" : "series_title"),
+        score:  parseInt(field(xml, "my_score"), 10) || 0,
+        status: MAL_STATUS[field(xml, "my_status")] || "COMPLETED",
+      });
+    }
+    return { type, items };
+  }
+
+  /** Imports d'un pseudo AniList, par type. */
+  static imports(username) {
+    return this._data[this._key(username)] || {};
+  }
+
+  /** Entrées importées de ce pseudo par type, à passer au moteur (`options.imported`). */
+  static lists(username) {
+    const lists = {};
+    for (const [type, imp] of Object.entries(this.imports(username))) lists[type] = imp.entries;
+    return lists;
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  RecommendationEngine — Logique pure (aucun DOM)
+// ═══════════════════════════════════════════════════════════════════════════
+//  Chaque résultat :
+//  {
+//    media,
+//    score,
+//    reasons:    [{ sourceTitle, type, weight }],
+//    commonTags: [{ name, strength }],
+//  }
+// ═══════════════════════════════════════════════════════════════════════════
+
+class RecommendationEngine {
+
+  // ── Favoris (avec titre) ──────────────────────────────────────────────
+
+  static async fetchAllFavourites(username, type = "ANIME", { signal } = {}) {
+    const results = [];
+    const field = type === "MANGA" ? "manga" : "anime";
+    let page = 1, hasNext = true;
+
+    while (hasNext) {
+      const data = await AuthManager.gqlRequest(QUERIES.USER_FAVOURITES, {
+        username, page, anime: field === "anime", manga: field === "manga",
+      }, { signal });
+      if (!data.User) throw new Error(`Utilisateur "${username}" introuvable`);
+      const favs = data.User.favourites[field];
+      for (const n of favs.nodes) {
+        results.push({ id: n.id, title: n.title.english || n.title.romaji || `#${n.id}` });
+      }
+      hasNext = favs.pageInfo.hasNextPage;
+      page++;
+    }
+    return results;
+  }
+
+  /** Personnages, staff et studios favoris : { characters, staff, studios }, chacun [{ id, name }]. */
+  static async fetchFavouritePeople(username, { signal } = {}) {
+    const data = await AuthManager.gqlRequest(QUERIES.USER_FAVOURITE_PEOPLE, { username }, { signal });
+    if (!data.User) throw new Error(`Utilisateur "${username}" introuvable`);
+    const named = (conn) => (conn?.nodes || []).map(n => ({ id: n.id, name: n.name?.full ?? n.name ?? `#${n.id}` }));
+    const { characters, staff, studios } = data.User.favourites;
+    return { characters: named(characters), staff: named(staff), studios: named(studios) };
+  }
+
+  // ── Liste complète (avec tags) ────────────────────────────────────────
+
+  static async fetchUserList(username, type = "ANIME", { signal } = {}) {
+    const data = await AuthManager.gqlRequest(QUERIES.USER_LIST, { username, type }, { signal });
+    const all = [];
+    for (const list of data.MediaListCollection.lists) {
+      for (const entry of list.entries) {
+        all.push(this.listEntry(entry.mediaId, entry.score, entry.status || list.status, entry.media));
+      }
+    }
+    all.sort((a, b) => b.score - a.score);
+    return all;
+  }
+
+  /** Entrée de liste normalisée (liste AniList ou export MAL importé). */
+  static listEntry(mediaId, score, status, media) {
+    return {
+      mediaId,
+      score,
+      status,
+      title:      media.title.english || media.title.romaji,
+      genres:     media.genres || [],
+      tags:       (media.tags || []).map(t => ({ name: t.name, rank: t.rank })),
+      studios:    media.studios?.nodes || [],
+      staff:      keyStaff(media),
+    };
+  }
+
+  /**
+   * Liste AniList complétée par une liste importée (MAL, { mediaId, status, score }) :
+   * l'entrée AniList l'emporte pour un même titre, les autres sont complétées
+   * (titre, tags, genres, crédits) par lots de 50. Triée par note décroissante.
+   */
+  static async mergeImported(list, imported, { signal } = {}) {
+    if (!imported?.length) return list;
+    const known = new Set(list.map(e => e.mediaId));
+    const extra = imported.filter(e => !known.has(e.mediaId));
+    const media = new Map();
+    for (const batch of chunks(extra, 50)) {
+      const data = await AuthManager.gqlRequest(QUERIES.LIST_MEDIA_BY_IDS, { ids: batch.map(e => e.mediaId) }, { signal });
+      for (const m of (data.Page?.media || [])) media.set(m.id, m);
+    }
+    const entries = extra
+      .filter(e => media.has(e.mediaId))
+      .map(e => this.listEntry(e.mediaId, e.score, e.status, media.get(e.mediaId)));
+    return [...list, ...entries].sort((a, b) => b.score - a.score);
+  }
+
+  // ── Recommandations d'un média ────────────────────────────────────────
+
+  /**
+   * Recos AniList d'un lot de sources en requêtes compound
+   * ({ m0: Media(id:X){recommendations{...}} m1: ... }), fusionnées dans
+   * `candidateMap`. Chaque arête devient une raison : les champs de la tâche
+   * (hors mediaId) + rating de l'arête et meilleur rating de la source.
+   * Avec `maxPages` > 1, les sources dont la page a une suite sont relues
+   * (page 2, 3…) jusqu'à `maxPages`. Les réponses sont mises en cache par
+   * source (SourceCache) : un rafraîchissement ne redemande que les sources
+   * nouvelles ou expirées.
+   *
+   * @param {object[]} tasks — { mediaId, sourceId, sourceTitle, type, rank, … }
+   * @param {{ type: string, perPage: number, maxPages?: number, onChunk?: Function, onPartial?: Function, signal?: AbortSignal }} options
+   *        onChunk(done, total) — progression après chaque requête (total grandit avec les pages suivantes)
+   *        onPartial(map)       — candidats des sources déjà reçues, avant la dernière requête
+   */
+  static async fetchRecommendationEdges(tasks, { type, perPage, maxPages = 1, onChunk = () => {}, onPartial, signal }, candidateMap = new Map()) {
+    // Réponses encore fraîches dans SourceCache : seules les autres sources sont demandées
+    const limit    = perPage * maxPages;
+    const ids      = [...new Set(tasks.map(t => t.mediaId))];
+    const nodesOf  = await SourceCache.get(ids, limit);
+    const missing  = ids.filter(id => !nodesOf.has(id));
+    const fetched  = new Map();
+    const nodesFor = (id) => nodesOf.get(id) || fetched.get(id);
+    if (missing.length < ids.length) {
+      console.log(`[Engine] ${ids.length - missing.length}/${ids.length} sources servies par le cache`);
+    }
+
+    // Limite de complexité AniList : chaque reco embarque son staff (CREDITS_FIELDS),
+    // d'où peu de sources par requête, encore moins quand on lit plus de recos.
+    // Les lots sont indépendants : lancés ensemble, RateLimiter dose le parallélisme.
+    const CHUNK = perPage > 25 ? 3 : 6;
+    let done = ids.length - missing.length, total = ids.length;
+    const incomplete = new Set();   // page suivante en échec : gardée pour cette analyse, pas mise en cache
+    let pending = missing;
+    for (let page = 1; pending.length && page <= maxPages; page++) {
+      const next = [];
+      if (page > 1) total += pending.length;
+      await Promise.all(chunks(pending, CHUNK).map(async chunk => {
+        // Construire la query compound
+        const fragments = chunk.map((mediaId, i) => `
+          m${i}: Media(id: ${mediaId}) {
+            recommendations(page: ${page}, perPage: ${perPage}, sort: RATING_DESC) {
+              pageInfo { hasNextPage }
+              nodes {
+                rating
+                mediaRecommendation {
+                  ${MEDIA_FIELDS}
+                }
+              }
+            }
+          }
+        `).join("\n");
+        const compoundQuery = `query { ${fragments} }`;
+
+        try {
+          const data = await AuthManager.gqlRequest(compoundQuery, {}, { signal });
+          chunk.forEach((mediaId, i) => {
+            const recs = data[`m${i}`]?.recommendations;
+            if (!recs?.nodes) { if (page > 1) incomplete.add(mediaId); return; }
+            fetched.set(mediaId, [...(fetched.get(mediaId) || []), ...recs.nodes]);
+            if (recs.pageInfo?.hasNextPage) next.push(mediaId);
+          });
+        } catch (err) {
+          if (signal?.aborted) throw err;
+          console.warn(`[Engine] Échec batch compound (page ${page}):`, err);
+          if (page > 1) chunk.forEach(id => incomplete.add(id));
+        }
+
+        done += chunk.length;
+        onChunk(done, total);
+        // Résultats provisoires : les sources reçues jusqu'ici, reparsées dans l'ordre des tâches
+        if (onPartial && (done < total || page < maxPages)) onPartial(this._collectEdges(tasks, nodesFor, type));
+      }));
+      pending = next;
+    }
+    const complete = new Map([...fetched].filter(([id]) => !incomplete.has(id)));
+    if (complete.size) await SourceCache.put(complete, limit);
+
+    return this._collectEdges(tasks, nodesFor, type, candidateMap);
+  }
+
+  /** Arêtes des sources dont les recos sont connues → candidats { media, reasons }. */
+  static _collectEdges(tasks, nodesFor, type, candidateMap = new Map()) {
+    for (const { mediaId, ...base } of tasks) {
+      const nodes = nodesFor(mediaId);
+      if (!nodes) continue;
+
+      // Meilleur rating de cette source : sert à normaliser chaque arête
+      const maxRating = Math.max(0, ...nodes.map(n => n.rating || 0));
+
+      for (const node of nodes) {
+        const media = node.mediaRecommendation;
+        if (!media || media.type !== type) continue;
+        const reason = { ...base, rating: node.rating ?? 0, maxRating };
+        const existing = candidateMap.get(media.id);
+        if (existing) existing.reasons.push(reason);
+        else          candidateMap.set(media.id, { media, reasons: [reason] });
+      }
+    }
+    return candidateMap;
+  }
+
+  /**
+   * Titres des personnages, staff et studios favoris, fusionnés dans
+   * `candidateMap` comme des arêtes sans rating communautaire : un personnage
+   * apporte les titres où il apparaît, un membre du staff ceux qu'il a
+   * réalisés, écrits ou doublés (`role`), un studio ses productions
+   * principales — par popularité. Le type recommandé est demandé directement,
+   * sans pont en mode croisé. Même cache que les recos (clé "staff:95:ANIME").
+   *
+   * Deux temps pour rester sous la limite de complexité AniList : les
+   * requêtes aliasées ne lisent que les IDs (et le rôle), puis les titres
+   * pas encore connus sont chargés par fetchMediaByIds.
+   *
+   * @param {object[]} tasks — { entityId, sourceId, sourceTitle, type: "personnage"|"staff"|"studio", rank, … }
+   */
+  static async fetchPeopleEdges(tasks, { type, onChunk = () => {}, signal }, candidateMap = new Map()) {
+    const keyOf   = (t) => `${t.sourceId}:${type}`;
+    const sources = new Map(tasks.map(t => [keyOf(t), t]));
+    const keys    = [...sources.keys()];
+    const nodesOf = await SourceCache.get(keys, PEOPLE_MEDIA_PER_SOURCE);
+    const missing = keys.filter(k => !nodesOf.has(k));
+
+    const page = `sort: POPULARITY_DESC, perPage: ${PEOPLE_MEDIA_PER_SOURCE}`;
+    const fragmentOf = {
+      "personnage": (id) => `Character(id: ${id}) { media(type: ${type}, ${page}) { nodes { id type } } }`,
+      "staff":      (id) => `Staff(id: ${id}) {
+          staffMedia(type: ${type}, ${page}) { edges { staffRole node { id type } } }
+          characterMedia(${page}) { edges { characters { name { full } } node { id type } } }
+        }`,
+      "studio":     (id) => `Studio(id: ${id}) { media(isMain: true, ${page}) { nodes { id type } } }`,
+    };
+    // Réponse d'une source → [{ id, role? }] du bon type, un titre une seule fois (rôle le plus précis d'abord)
+    const refsFrom = (kind, d) => {
+      const refs = kind === "staff"
+        ? [
+            ...(d.staffMedia?.edges || []).map(e => ({ node: e.node, role: e.staffRole })),
+            ...(d.characterMedia?.edges || []).map(e => ({
+              node: e.node,
+              role: e.characters?.[0]?.name?.full ? `voix de ${e.characters[0].name.full}` : "doublage",
+            })),
+          ]
+        : (d.media?.nodes || []).map(node => ({ node }));
+      const seen = new Set();
+      return refs
+        .filter(r => r.node?.type === type && !seen.has(r.node.id) && seen.add(r.node.id))
+        .map(({ node, role }) => role ? { id: node.id, role } : { id: node.id });
+    };
+
+    const refsOf = new Map();
+    const failed = [];
+    let done = keys.length - missing.length;
+    await Promise.all(chunks(missing, 10).map(async chunk => {
+      const fragments = chunk.map((key, i) => {
+        const { type: kind, entityId } = sources.get(key);
+        return `p${i}: ${fragmentOf[kind](entityId)}`;
+      }).join("\n");
+      try {
+        const data = await AuthManager.gqlRequest(`query { ${fragments} }`, {}, { signal });
+        chunk.forEach((key, i) => {
+          if (data[`p${i}`]) refsOf.set(key, refsFrom(sources.get(key).type, data[`p${i}`]));
+          else               failed.push(key);
+        });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[Engine] Échec batch personnages / staff / studios:`, err);
+        failed.push(...chunk);
+      }
+      done += chunk.length;
+      onChunk(done, keys.length);
+    }));
+
+    // Titres complets : ceux déjà candidats sont réutilisés, les autres chargés par lots
+    const mediaById = new Map([...candidateMap].map(([id, c]) => [id, c.media]));
+    const unknown = [...new Set([...refsOf.values()].flat().map(r => r.id))].filter(id => !mediaById.has(id));
+    try {
+      for (const media of await this.fetchMediaByIds(unknown, { signal })) mediaById.set(media.id, media);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.warn(`[Engine] Échec chargement des titres personnages / staff / studios:`, err);
+      failed.push(...refsOf.keys());
+      refsOf.clear();
+    }
+    if (failed.length) {
+      console.warn(`[Engine] ${failed.length}/${keys.length} personnages / staff / studios ignorés :`,
+        failed.map(k => sources.get(k).sourceTitle).join(", "));
+    }
+
+    const fetched = new Map();
+    for (const [key, refs] of refsOf) {
+      fetched.set(key, refs
+        .filter(r => mediaById.has(r.id))
+        .map(({ id, role }) => role ? { media: mediaById.get(id), role } : { media: mediaById.get(id) }));
+    }
+    if (fetched.size) await SourceCache.put(fetched, PEOPLE_MEDIA_PER_SOURCE);
+
+    for (const { entityId, ...base } of tasks) {
+      const nodes = nodesOf.get(keyOf(base)) || fetched.get(keyOf(base));
+      for (const { media, role } of (nodes || [])) {
+        if (media.type !== type) continue;
+        const reason = role ? { ...base, role } : { ...base };
+        const existing = candidateMap.get(media.id);
+        if (existing) existing.reasons.push(reason);
+        else          candidateMap.set(media.id, { media, reasons: [reason] });
+      }
+    }
+    return candidateMap;
+  }
+
+  /**
+   * Second degré : les recos des meilleurs candidats du premier passage
+   * (hors titres vus) deviennent des raisons de leur source d'origine,
+   * marquées `via` et `hop: 2` — leur poids est atténué par hopDecay.
+   * Un candidat déjà recommandé directement par une source ne la reçoit pas deux fois.
+   */
+  static async expandSecondHop(candidateMap, { type, seenIds, onChunk, signal }) {
+    const strength = (r) => r.type === "négatif" ? 0 : (r.type === "favori" ? 2 : 1);
+    const seeds = [...candidateMap.values()]
+      .filter(c => !seenIds.has(c.media.id) && c.reasons.some(r => strength(r) > 0))
+      .map(c => ({ c, total: c.reasons.reduce((sum, r) => sum + strength(r), 0) }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, SECOND_HOP_SEEDS)
+      .map(({ c }) => c);
+
+    const tasks = seeds.map(({ media, reasons }) => {
+      // La source héritée est la plus forte raison positive du candidat relais
+      const best = reasons
+        .filter(r => strength(r) > 0)
+        .sort((a, b) => strength(b) - strength(a) || a.rank - b.rank)[0];
+      const { rating, maxRating, role, ...inherited } = best;
+      return {
+        ...inherited,
+        mediaId: media.id,
+        via:     { id: media.id, title: media.title.english || media.title.romaji || `#${media.id}` },
+        hop:     2,
+      };
+    });
+
+    const hopMap = await this.fetchRecommendationEdges(tasks, { type, perPage: RECS_PER_SOURCE[0], onChunk, signal });
+    let added = 0;
+    for (const [mediaId, entry] of hopMap) {
+      const existing = candidateMap.get(mediaId);
+      const reasons = entry.reasons.filter(r => !existing?.reasons.some(x => x.sourceId === r.sourceId));
+      if (!reasons.length) continue;
+      added += reasons.length;
+      if (existing) existing.reasons.push(...reasons);
+      else          candidateMap.set(mediaId, { media: entry.media, reasons });
+    }
+    console.log(`[Engine] Second degré : ${seeds.length} relais → ${added} raisons ajoutées`);
+    return candidateMap;
+  }
+
+  // ── Pont anime ↔ manga (mode croisé) ──────────────────────────────────
+
+  /**
+   * Remplace chaque source par ses adaptations / œuvres d'origine du type cible
+   * (ex: favori anime → son manga d'origine), pour que les recommandations
+   * AniList récupérées soient du bon type. Les sources sans équivalent sont ignorées.
+   */
+  static async bridgeSources(tasks, targetType, { signal } = {}) {
+    const CHUNK = 20;
+    const perChunk = await Promise.all(chunks(tasks, CHUNK).map(async chunk => {
+      const bridged = [];
+      const fragments = chunk.map((t, i) => `
+        m${i}: Media(id: ${t.mediaId}) {
+          relations {
+            edges {
+              relationType(version: 2)
+              node { id type title { romaji english } }
+            }
+          }
+        }
+      `).join("\n");
+
+      try {
+        const data = await AuthManager.gqlRequest(`query { ${fragments} }`, {}, { signal });
+        chunk.forEach((task, i) => {
+          for (const edge of (data[`m${i}`]?.relations?.edges || [])) {
+            if (edge.node?.type !== targetType || !BRIDGE_RELATIONS.includes(edge.relationType)) continue;
+            bridged.push({
+              ...task,
+              mediaId:     edge.node.id,
+              bridgeTitle: edge.node.title.english || edge.node.title.romaji || `#${edge.node.id}`,
+            });
+          }
+        });
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn(`[Engine] Échec pont ${targetType}:`, err);
+      }
+      return bridged;
+    }));
+    const bridged = perChunk.flat();
+    // Une même œuvre peut être l'adaptation de plusieurs sources : garder la première
+    const seen = new Set();
+    return bridged.filter(t => !seen.has(t.mediaId) && seen.add(t.mediaId));
+  }
+
+  // ── Médias & relations par lots ───────────────────────────────────────
+
+  /** Médias complets (MEDIA_FIELDS) pour une liste d'IDs, par lots de 50. */
+  static async fetchMediaByIds(ids, { signal } = {}) {
+    const media = [];
+    for (let i = 0; i < ids.length; i += 50) {
+      const data = await AuthManager.gqlRequest(QUERIES.MEDIA_BY_IDS, { ids: ids.slice(i, i + 50) }, { signal });
+      media.push(...(data.Page?.media || []));
+    }
+    return media;
+  }
+
+  /** Map id → { prequels, sequels } (même type de média), par lots de 50. */
+  static async fetchRelations(ids, type, { signal } = {}) {
+    const rel = new Map();
+    for (let i = 0; i < ids.length; i += 50) {
+      const data = await AuthManager.gqlRequest(QUERIES.MEDIA_RELATIONS, { ids: ids.slice(i, i + 50) }, { signal });
+      for (const m of (data.Page?.media || [])) rel.set(m.id, this._chainRelations(m.relations, type));
+    }
+    return rel;
+  }
+
+  /** Extrait les préquelles / suites directes d'un bloc `relations`. */
+  static _chainRelations(relations, type) {
+    const prequels = [], sequels = [];
+    for (const edge of (relations?.edges || [])) {
+      if (edge.node?.type !== type) continue;
+      if (edge.relationType === "PREQUEL") prequels.push(edge.node.id);
+      if (edge.relationType === "SEQUEL")  sequels.push(edge.node.id);
+    }
+    return { prequels, sequels };
+  }
+
+  // ── Franchises : regroupement sous la première entrée non vue ─────────
+
+  /**
+   * Masque les suites dont la préquelle n'est pas vue et les regroupe sous
+   * la plus ancienne entrée non vue de la chaîne (récupérée si besoin).
+   * Les raisons des suites masquées sont reportées sur cette entrée.
+   * Une suite dont une préquelle est déjà vue reste visible telle quelle.
+   */
+  static async groupFranchises(candidates, { seenIds, planningIds, type, signal }) {
+    // Relations des candidats, puis des préquelles non vues (chaîne remontée tour par tour)
+    const rel = new Map();
+    let toFetch = candidates.map(c => c.media.id);
+    for (let depth = 0; depth < FRANCHISE_MAX_DEPTH && toFetch.length; depth++) {
+      const fetched = await this.fetchRelations(toFetch, type, { signal });
+      fetched.forEach((v, id) => rel.set(id, v));
+      toFetch = [...new Set([...fetched.values()].flatMap(r => r.prequels))]
+        .filter(id => !seenIds.has(id) && !rel.has(id));
+    }
+
+    const rootOf = (id) => {
+      const visited = new Set([id]);
+      let cur = id;
+      for (;;) {
+        const prequels = rel.get(cur)?.prequels || [];
+        // Franchise déjà entamée (une préquelle vue) ou début de chaîne : on s'arrête
+        if (!prequels.length || prequels.some(p => seenIds.has(p)) || visited.has(prequels[0])) return cur;
+        cur = prequels[0];
+        visited.add(cur);
+      }
+    };
+
+    const byId   = new Map(candidates.map(c => [c.media.id, c]));
+    const groups = new Map();   // rootId → [candidats masqués]
+    for (const c of candidates) {
+      const root = rootOf(c.media.id);
+      if (root === c.media.id) continue;
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(c);
+    }
+    if (!groups.size) return candidates;
+
+    // Entrées racines absentes des candidats : récupérer leurs données complètes
+    const missing = [...groups.keys()].filter(id => !byId.has(id));
+    const rootMedia = new Map();
+    if (missing.length) {
+      try {
+        for (const m of await this.fetchMediaByIds(missing, { signal })) rootMedia.set(m.id, m);
+      } catch (err) {
+        if (signal?.aborted) throw err;
+        console.warn("[Engine] Échec récupération des entrées racines:", err);
+      }
+    }
+
+    for (const [rootId, hidden] of groups) {
+      let root = byId.get(rootId);
+      if (!root && rootMedia.has(rootId)) {
+        root = { media: rootMedia.get(rootId), reasons: [], isPlanning: planningIds.has(rootId) };
+      }
+      if (!root) continue; // racine introuvable : les suites restent visibles
+
+      // Une raison par source (et par membre en blend) : la mieux notée
+      const keyOf   = (r) => `${r.member || ""}:${r.type}:${r.sourceId}`;
+      const reasons = new Map(root.reasons.map(r => [keyOf(r), r]));
+      for (const h of hidden) {
+        for (const r of h.reasons) {
+          const key = keyOf(r);
+          if (!reasons.has(key) || (r.rating || 0) > (reasons.get(key).rating || 0)) reasons.set(key, r);
+        }
+        byId.delete(h.media.id);
+      }
+      root.reasons   = [...reasons.values()];
+      root.franchise = [...(root.franchise || []), ...hidden.map(h => ({
+        id:    h.media.id,
+        title: h.media.title.english || h.media.title.romaji || `#${h.media.id}`,
+      }))];
+      byId.set(rootId, root);
+    }
+
+    console.log(`[Engine] Franchises : ${[...groups.values()].flat().length} suites regroupées sous ${groups.size} entrées`);
+    return [...byId.values()];
+  }
+
+  /**
+   * Suites directes non vues des titres COMPLETED ("Continuer la série").
+   * Les relations ne sont lues que pour ces titres, par lots de 50 en
+   * commençant par les mieux notés, jusqu'à remplir la lane.
+   */
+  static async fetchContinueLane(userList, type, { seenIds, planningIds, signal }) {
+    const afterTitle = new Map();   // id de la suite → titre terminé
+    const completed  = userList.filter(e => e.status === "COMPLETED").slice(0, CONTINUE_LANE_SCAN);
+    for (let i = 0; i < completed.length && afterTitle.size < CONTINUE_LANE_MAX; i += 50) {
+      const batch = completed.slice(i, i + 50);
+      const rel   = await this.fetchRelations(batch.map(e => e.mediaId), type, { signal });
+      for (const entry of batch) {
+        for (const id of (rel.get(entry.mediaId)?.sequels || [])) {
+          if (!seenIds.has(id) && !afterTitle.has(id)) afterTitle.set(id, entry.title);
+        }
+      }
+    }
+    const ids = [...afterTitle.keys()].slice(0, CONTINUE_LANE_MAX);
+    if (!ids.length) return [];
+
+    const media = await this.fetchMediaByIds(ids, { signal });
+    const order = new Map(ids.map((id, i) => [id, i]));   // liste triée par note : mieux notés d'abord
+    return media
+      .sort((a, b) => order.get(a.id) - order.get(b.id))
+      .map(m => ({ media: m, afterTitle: afterTitle.get(m.id), isPlanning: planningIds.has(m.id) }));
+  }
+
+  // ── Franchise (blocage) ────────────────────────────────────────────────
+
+  /** IDs de la franchise d'un média (lui-même + relations sur deux niveaux). */
+  static async fetchFranchiseIds(mediaId) {
+    const data = await AuthManager.gqlRequest(QUERIES.MEDIA_FRANCHISE, { mediaId });
+    const ids = new Set([mediaId]);
+    for (const edge of (data.Media?.relations?.edges || [])) {
+      if (!FRANCHISE_RELATIONS.includes(edge.relationType)) continue;
+      ids.add(edge.node.id);
+      for (const sub of (edge.node.relations?.edges || [])) {
+        if (FRANCHISE_RELATIONS.includes(sub.relationType)) ids.add(sub.node.id);
+      }
+    }
+    return [...ids];
+  }
+
+  /** Animes d'une saison, par popularité (SEASON_MAX_PAGES pages max). */
+  static async fetchSeasonMedia(season, seasonYear, { signal } = {}) {
+    const all = [];
+    for (let page = 1; page <= SEASON_MAX_PAGES; page++) {
+      const data = await AuthManager.gqlRequest(QUERIES.SEASON_MEDIA, { season, seasonYear, page }, { signal });
+      all.push(...(data.Page.media || []));
+      if (!data.Page.pageInfo.hasNextPage) break;
+    }
+    return all;
+  }
+
+  // ── Profil de goûts ───────────────────────────────────────────────────
+
+  /**
+   * Construit le profil utilisé au classement : tags (cumuls positifs et
+   * négatifs), top genres, studios et staff appréciés, moyenne / écart-type des notes.
+   * Retourne aussi `isNegative(entry)` — abandonné ou nettement sous la moyenne.
+   *
+   * @param {object[]} profileList  — entrées dont on tire tags, genres, studios et staff
+   * @param {object[]} topSource    — liste de référence pour les statistiques de notes
+   * @param {Set<number>} favouriteSet
+   */
+  static buildProfile(profileList, topSource, favouriteSet) {
+    // Moyenne / écart-type personnels des notes (liste des sources) :
+    // un 8/10 ne pèse pas pareil chez qui note tout 8 et chez qui note tout 5
+    const scores    = topSource.filter(e => e.status !== "PLANNING" && e.score > 0).map(e => e.score);
+    const scoreMean = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+    const scoreStd  = scores.length
+      ? Math.sqrt(scores.reduce((a, b) => a + (b - scoreMean) ** 2, 0) / scores.length)
+      : 0;
+    const zScore = (e) => e.score > 0 ? (e.score - scoreMean) / Math.max(scoreStd, 1) : null;
+    const isNegative = this._negativeTest({ scoreMean, scoreStd }, favouriteSet);
+
+    // Profil de tags utilisateur (poids = rank moyen) ; les entrées négatives
+    // alimentent un cumul séparé qui tire le tag vers le bas au classement
+    const userTagMap = new Map();
+    for (const entry of profileList) {
+      const negative = isNegative(entry);
+      for (const tag of entry.tags) {
+        let ex = userTagMap.get(tag.name);
+        if (!ex) userTagMap.set(tag.name, ex = { totalRank: 0, count: 0, negRank: 0, negCount: 0 });
+        if (negative) { ex.negRank += tag.rank; ex.negCount++; }
+        else          { ex.totalRank += tag.rank; ex.count++; }
+      }
+    }
+
+    // Profil de genres utilisateur (fréquence)
+    const userGenreMap = new Map();
+    for (const entry of profileList) {
+      for (const g of entry.genres) {
+        userGenreMap.set(g, (userGenreMap.get(g) || 0) + 1);
+      }
+    }
+    // Top genres = ceux qui reviennent le plus
+    const topGenres = [...userGenreMap.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([g]) => g);
+
+    // Studios et staff appréciés : récurrents (2 titres ou plus) parmi les favoris et les
+    // titres notés au-dessus de la moyenne, pondérés par la note (favori = 2, sinon 1 + z-score)
+    const studioMap = new Map();
+    const staffMap  = new Map();
+    const tally = (map, { id, ...info }, weight) => {
+      const ex = map.get(id);
+      if (ex) { ex.count++; ex.weight += weight; }
+      else    map.set(id, { ...info, count: 1, weight });
+    };
+    for (const entry of profileList) {
+      const favourite = favouriteSet.has(entry.mediaId);
+      const z = zScore(entry) ?? 0;
+      if (!favourite && (entry.status === "PLANNING" || isNegative(entry) || z < 0)) continue;
+      const weight = favourite ? 2 : 1 + z;
+      (entry.studios || []).forEach(st => tally(studioMap, st, weight));
+      (entry.staff   || []).forEach(st => tally(staffMap, st, weight));
+    }
+    const topOf = (map) => [...map.entries()]
+      .filter(([, v]) => v.count >= 2)
+      .map(([id, v]) => [id, { ...v, weight: +v.weight.toFixed(2) }])
+      .sort((a, b) => b[1].weight - a[1].weight)
+      .slice(0, 10);
+    const topStudios = topOf(studioMap);
+    const topStaff   = topOf(staffMap);
+
+    console.log("[Engine] Profil genres:", topGenres);
+    console.log("[Engine] Profil studios:", topStudios.map(([, v]) => `${v.name} (${v.weight})`));
+    console.log("[Engine] Profil staff:", topStaff.map(([, v]) => `${v.name} — ${v.role} (${v.weight})`));
+    console.log("[Engine] Profil tags (top 15):",
+      [...userTagMap.entries()]
+        .filter(([, v]) => v.count > 0)
+        .map(([n, v]) => ({ name: n, avg: Math.round(v.totalRank / v.count), count: v.count }))
+        .sort((a, b) => b.avg - a.avg)
+        .slice(0, 15)
+    );
+
+    return {
+      isNegative,
+      profile: {
+        tags:      [...userTagMap.entries()],
+        topGenres,
+        topStudios,
+        topStaff,
+        scoreMean: +scoreMean.toFixed(2),
+        scoreStd:  +scoreStd.toFixed(2),
+      },
+    };
+  }
+
+  /**
+   * Signaux négatifs : abandonnés (sauf notés au-dessus de la moyenne) et
+   * notes nettement sous la moyenne personnelle. Jamais un favori ni un PLANNING.
+   */
+  static _negativeTest({ scoreMean, scoreStd }, favouriteSet) {
+    return (e) => {
+      if (e.status === "PLANNING" || favouriteSet.has(e.mediaId)) return false;
+      const z = e.score > 0 ? (e.score - scoreMean) / Math.max(scoreStd, 1) : null;
+      if (e.status === "DROPPED") return z === null || z < 0;
+      return z !== null && z < NEGATIVE_Z;
+    };
+  }
+
+  /**
+   * Modifications de liste faites depuis une carte depuis le dernier calcul
+   * (raw.listEdits : { [mediaId]: { status, score, favourite } }, status null
+   * = retiré de la liste). Le profil de tags est corrigé comme si le titre
+   * avait figuré dans la liste au moment du fetch.
+   * @returns {{ profile: object, statusOf: Map<number, ?string> }}
+   */
+  static _withListEdits(raw) {
+    const statusOf = new Map();
+    const edits = Object.entries(raw.listEdits || {});
+    if (!edits.length) return { profile: raw.profile, statusOf };
+
+    const known = new Map([...raw.candidates, ...(raw.continueLane || [])].map(c => [c.media.id, c]));
+    const tags  = new Map(raw.profile.tags.map(([name, v]) => [name, { ...v }]));
+    const count = (media, negative, sign) => {
+      for (const tag of (media.tags || [])) {
+        let ex = tags.get(tag.name);
+        if (!ex) tags.set(tag.name, ex = { totalRank: 0, count: 0, negRank: 0, negCount: 0 });
+        if (negative) { ex.negRank = Math.max(0, ex.negRank + sign * tag.rank); ex.negCount = Math.max(0, ex.negCount + sign); }
+        else          { ex.totalRank = Math.max(0, ex.totalRank + sign * tag.rank); ex.count = Math.max(0, ex.count + sign); }
+      }
+    };
+
+    for (const [key, edit] of edits) {
+      const mediaId = Number(key);
+      statusOf.set(mediaId, edit.status);
+      const cand = known.get(mediaId);
+      if (!cand) continue;
+      // Un PLANNING de l'utilisateur comptait déjà dans son profil (hors blend)
+      if (cand.isPlanning && !raw.members) count(cand.media, false, -1);
+      if (!edit.status) continue;
+      const isNegative = this._negativeTest(raw.profile, new Set(edit.favourite ? [mediaId] : []));
+      count(cand.media, isNegative({ mediaId, ...edit }), 1);
+    }
+    return { profile: { ...raw.profile, tags: [...tags] }, statusOf };
+  }
+
+  // ── Sources d'un utilisateur ──────────────────────────────────────────
+
+  /**
+   * Favoris, liste et profil d'un utilisateur, et ses tâches de sources :
+   * favoris + top notés hors favoris + négatifs (rang = position dans sa catégorie),
+   * plus les personnages, staff et studios favoris (`peopleTasks`, hors pont croisé).
+   * En mode croisé, le profil de goûts combine les listes des deux types.
+   * `imported` ({ ANIME?, MANGA? }) complète ses listes AniList (export MAL).
+   */
+  static async gatherSources(username, { type, sourceType, crossMedia, settings, imported = {}, signal }) {
+    const { maxFavSources, maxTopSources, maxNegSources, maxPeopleSources = 0 } = settings;
+    const [favourites, people, userList, sourceList] = await Promise.all([
+      this.fetchAllFavourites(username, sourceType, { signal }),
+      // Sources d'appoint : un échec ne bloque pas le calcul
+      maxPeopleSources > 0
+        ? this.fetchFavouritePeople(username, { signal }).catch(err => {
+            if (signal?.aborted) throw err;
+            console.warn(`[Engine] Personnages / staff / studios favoris indisponibles:`, err);
+            return { characters: [], staff: [], studios: [] };
+          })
+        : { characters: [], staff: [], studios: [] },
+      this.fetchUserList(username, type, { signal }).then(l => this.mergeImported(l, imported[type], { signal })),
+      crossMedia ? this.fetchUserList(username, sourceType, { signal }).then(l => this.mergeImported(l, imported[sourceType], { signal })) : null,
+    ]);
+    const listDiff = await SourceCache.diffList(username, type, userList);
+
+    // Séparer les PLANNING des vrais "vus" — les PLANNING restent dans les recos
+    // (toujours sur la liste du type recommandé, même en mode croisé)
+    const planningIds  = new Set(userList.filter(e => e.status === "PLANNING").map(e => e.mediaId));
+    const seenIds      = new Set(userList.filter(e => e.status !== "PLANNING").map(e => e.mediaId));
+    const topSource    = sourceList || userList;
+    const favouriteSet = new Set(favourites.map(f => f.id));
+    const profileList  = sourceList ? [...userList, ...sourceList] : userList;
+
+    const { profile, isNegative } = this.buildProfile(profileList, topSource, favouriteSet);
+    // Une liste courte ne doit pas faire d'une même source un top noté ET un négatif
+    const topRated     = topSource.filter(e => e.status !== "PLANNING" && e.score > 0).slice(0, maxTopSources + maxFavSources);
+    const topOnly      = topRated.filter(e => !favouriteSet.has(e.mediaId) && !isNegative(e)).slice(0, maxTopSources);
+    const negatives = topSource
+      .filter(isNegative)
+      .sort((a, b) => (a.score || 0) - (b.score || 0))
+      .slice(0, maxNegSources);
+
+    const tasks = [];
+    const usedFavs = favourites.slice(0, maxFavSources);
+    usedFavs.forEach((fav, rank) => {
+      tasks.push({ mediaId: fav.id, sourceId: fav.id, sourceTitle: fav.title, type: "favori", rank });
+    });
+    topOnly.forEach((entry, rank) => {
+      tasks.push({
+        mediaId: entry.mediaId, sourceId: entry.mediaId, sourceTitle: entry.title,
+        type: "top noté", rank, sourceScore: entry.score,
+      });
+    });
+    negatives.forEach((entry, rank) => {
+      tasks.push({
+        mediaId: entry.mediaId, sourceId: entry.mediaId, sourceTitle: entry.title,
+        type: "négatif", rank, sourceScore: entry.score, sourceStatus: entry.status,
+      });
+    });
+
+    const peopleTasks = [["personnage", people.characters], ["staff", people.staff], ["studio", people.studios]]
+      .flatMap(([kind, list]) => list.slice(0, maxPeopleSources).map((p, rank) => ({
+        entityId: p.id, sourceId: `${kind}:${p.id}`, sourceTitle: p.name, type: kind, rank,
+      })));
+
+    console.log(`[Engine] ${username} : ${usedFavs.length} favoris + ${topOnly.length} top notés + ${negatives.length} négatifs = ${tasks.length} sources (${sourceType}) + ${peopleTasks.length} personnages / staff / studios`);
+    return { username, userList, planningIds, seenIds, profile, usedFavs, topOnly, negatives, tasks, peopleTasks, listDiff };
+  }
+
+  // ── Pipeline complet ──────────────────────────────────────────────────
+
+  /**
+   * Récupère puis classe les recommandations (ou les titres d'une saison
+   * si `options.season` est fourni). Retourne { results, raw } — `raw` (candidats non scorés + profil) permet
+   * de re-classer plus tard via rankCandidates() sans nouvel appel GraphQL.
+   * `options.signal` (AbortController) interrompt le calcul : les requêtes en
+   * cours sont annulées et la promesse est rejetée avec une AbortError.
+   * `options.onPartial(results, raw)` reçoit un classement provisoire après
+   * chaque lot de recommandations (raw.provisional = true, franchises non regroupées).
+   */
+  static async computeRecommendations(username, onProgress = () => {}, options = {}) {
+    const settings = { ...DEFAULT_SETTINGS, ...options.settings };
+    const { signal } = options;
+    const onPartial = options.onPartial && (partial => {
+      if (!signal?.aborted) options.onPartial(this.rankCandidates(partial, settings, options.exclusions), partial);
+    });
+    const raw = options.season
+      ? await this.fetchSeasonCandidates(username, onProgress, { ...options.season, imported: options.imported, signal })
+      : await this.fetchCandidates(username, onProgress, { ...options, settings, onPartial });
+    signal?.throwIfAborted();
+
+    onProgress(6, 6, "Tri et diversification…");
+    const results = this.rankCandidates(raw, settings, options.exclusions);
+    this._logReport(raw, results, settings);
+    return { results, raw };
+  }
+
+  /**
+   * Phase réseau : sources, recommandations AniList et profil utilisateur.
+   * Aucune pondération n'est appliquée ici — chaque raison garde seulement
+   * son type et son rang dans sa catégorie de source.
+   *
+   * @param {string} username
+   * @param {Function} onProgress — (step, total, message)
+   * @param {{ type?: "ANIME"|"MANGA", crossMedia?: boolean, members?: string[], settings?: object }} options
+   *        type       — type de média recommandé
+   *        crossMedia — si true, les favoris / top notés de l'AUTRE type servent de sources
+   *        members    — blend : autres membres dont les sources s'ajoutent à celles de `username`
+   *        imported   — listes importées de l'utilisateur ({ ANIME?, MANGA? }, cf. MalImportManager)
+   *        settings   — seules les limites de sources et explorationDepth sont utilisées à ce stade
+   *        signal     — AbortSignal transmis à toutes les requêtes
+   *        onPartial  — reçoit un `raw` provisoire après chaque lot de recommandations
+   */
+  static async fetchCandidates(username, onProgress = () => {}, { type = "ANIME", crossMedia = false, members = [], imported = {}, settings = DEFAULT_SETTINGS, signal, onPartial } = {}) {
+    const sourceType = crossMedia ? otherMediaType(type) : type;
+    const { maxFavSources, maxTopSources, maxNegSources, maxPeopleSources, explorationDepth } = settings;
+    // Blend : l'utilisateur lui-même n'est pas un membre supplémentaire
+    members = members.filter(m => m.toLowerCase() !== username.toLowerCase());
+    const blend = members.length > 0;
+
+    // 1-3. Sources et profil de chaque membre (un seul hors mode blend)
+    onProgress(1, 6, blend
+      ? `Récupération des favoris et des listes de ${members.length + 1} membres…`
+      : "Récupération de vos favoris et de votre liste…");
+    // Les listes importées (MAL) sont celles de l'utilisateur, pas des autres membres
+    const gathered = await Promise.all([username, ...members].map((name, i) =>
+      this.gatherSources(name, { type, sourceType, crossMedia, settings, imported: i === 0 ? imported : {}, signal })));
+    const owner = gathered[0];
+
+    // Un titre vu par n'importe quel membre est exclu ; PLANNING d'un membre = flag
+    const planningIds = new Set(gathered.flatMap(g => [...g.planningIds]));
+    const seenIds     = new Set(gathered.flatMap(g => [...g.seenIds]));
+
+    // En blend, chaque raison garde le membre dont elle vient
+    let tasks = gathered.flatMap(g => blend ? g.tasks.map(t => ({ ...t, member: g.username })) : g.tasks);
+    const peopleTasks = gathered.flatMap(g => blend ? g.peopleTasks.map(t => ({ ...t, member: g.username })) : g.peopleTasks);
+
+    // 3b. Mode croisé : chaque source est remplacée par son adaptation du type cible
+    if (crossMedia) {
+      onProgress(2, 6, `Recherche des adaptations ${type === "MANGA" ? "manga" : "anime"} de vos ${tasks.length} sources…`);
+      tasks = await this.bridgeSources(tasks, type, { signal });
+      console.log(`[Engine] Pont ${sourceType} → ${type} : ${tasks.length} sources retenues`);
+    }
+
+    const { listDiff } = owner;
+    onProgress(2, 6, listDiff
+      ? `Analyse de ${tasks.length} sources (liste : +${listDiff.added} / −${listDiff.removed} / ${listDiff.changed} modifié${listDiff.changed > 1 ? "s" : ""})…`
+      : `Analyse de ${tasks.length} sources…`);
+
+    // 4. Requêtes GraphQL compound pour TOUTES les sources
+    //    Profondeur 1+ : plus de recos par source ; profondeur 2 : recos des meilleurs candidats
+    const depth = Math.min(Math.max(settings.explorationDepth || 0, 0), RECS_PER_SOURCE.length - 1);
+    const rawOf = (candidates, continueLane = []) => ({
+      username,
+      type,
+      crossMedia,
+      sourceType,
+      limits:     { maxFavSources, maxTopSources, maxNegSources, maxPeopleSources, explorationDepth },
+      sources:    {
+        favourites: gathered.flatMap(g => g.usedFavs.map(f => f.title)),
+        topRated:   gathered.flatMap(g => g.topOnly.map(e => e.title)),
+        negatives:  gathered.flatMap(g => g.negatives.map(e => e.title)),
+        people:     peopleTasks.map(t => `${REASON_TYPES[t.type].icon} ${t.sourceTitle}`),
+      },
+      profile:    owner.profile,
+      // Blend : profil de chaque membre (bonus tags / genres calculé pour chacun)
+      members:    blend ? gathered.map(g => ({ name: g.username, profile: g.profile })) : null,
+      blendMembers: members,
+      candidates,
+      continueLane,
+    });
+    // Classement provisoire : candidats connus, sans second degré ni franchises
+    const partial = onPartial && (map => onPartial({ ...rawOf(this._filterCandidates(map, seenIds, planningIds)), provisional: true }));
+
+    const candidateMap = await this.fetchRecommendationEdges(tasks, {
+      type,
+      perPage: RECS_PER_SOURCE[depth],
+      maxPages: RECS_MAX_PAGES[depth],
+      onChunk: (done, total) => onProgress(3, 6, `Recommandations : ${done}/${total} (${Math.round((done / total) * 100)}%)…`),
+      onPartial: partial,
+      signal,
+    });
+    if (peopleTasks.length) {
+      await this.fetchPeopleEdges(peopleTasks, {
+        type,
+        onChunk: (done, total) => onProgress(3, 6, `Personnages, staff et studios favoris : ${done}/${total}…`),
+        signal,
+      }, candidateMap);
+    }
+    partial?.(candidateMap);
+    if (depth >= 2) {
+      await this.expandSecondHop(candidateMap, {
+        type,
+        seenIds,
+        onChunk: (done, total) => onProgress(3, 6, `Exploration au second degré : ${done}/${total}…`),
+        signal,
+      });
+    }
+
+    // 5. Filtrage — exclure les vus, mais garder les PLANNING avec un flag
+    onProgress(4, 6, "Filtrage des titres déjà vus…");
+    const candidates = this._filterCandidates(candidateMap, seenIds, planningIds);
+
+    // 5b. Franchises : suites regroupées + lane "Continuer la série" (hors blend)
+    onProgress(5, 6, "Regroupement des franchises…");
+    let grouped = candidates, continueLane = [];
+    try {
+      [grouped, continueLane] = await Promise.all([
+        this.groupFranchises(candidates, { seenIds, planningIds, type, signal }),
+        blend ? [] : this.fetchContinueLane(owner.userList, type, { seenIds, planningIds, signal }),
+      ]);
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.warn("[Engine] Échec analyse des franchises:", err);
+    }
+
+    return rawOf(grouped, continueLane);
+  }
+
+  /** Exclut les titres vus et les candidats sans raison positive ; les PLANNING restent, marqués. */
+  static _filterCandidates(candidateMap, seenIds, planningIds) {
+    const candidates = [];
+    for (const [mediaId, entry] of candidateMap) {
+      if (seenIds.has(mediaId)) continue; // Exclure les vrais vus
+      if (entry.reasons.every(r => r.type === "négatif")) continue; // Que des pénalités : inutile
+      candidates.push({ ...entry, isPlanning: planningIds.has(mediaId) });
+    }
+    return candidates;
+  }
+
+  /**
+   * Phase réseau du mode saison : tous les animes de la saison (et de la
+   * suivante si demandé), sans passer par les arêtes de recommandation —
+   * un titre qui vient de sortir n'en a pas encore. Chaque titre est ensuite
+   * classé sur le seul profil (tags, genres, studios) ; les suites d'un titre
+   * vu reçoivent une raison "suite", celles d'un titre non vu ou abandonné
+   * sont écartées.
+   *
+   * @param {{ season: string, year: number, includeNext?: boolean, imported?: object, signal?: AbortSignal }} period
+   */
+  static async fetchSeasonCandidates(username, onProgress = () => {}, { season, year, includeNext = false, imported = {}, signal }) {
+    const periods = includeNext ? [{ season, year }, nextSeason({ season, year })] : [{ season, year }];
+
+    onProgress(1, 6, "Récupération de votre liste et des titres de la saison…");
+    const [favourites, userList, ...seasonMedia] = await Promise.all([
+      this.fetchAllFavourites(username, "ANIME", { signal }),
+      this.fetchUserList(username, "ANIME", { signal }).then(l => this.mergeImported(l, imported.ANIME, { signal })),
+      ...periods.map(p => this.fetchSeasonMedia(p.season, p.year, { signal })),
+    ]);
+
+    const planningIds  = new Set(userList.filter(e => e.status === "PLANNING").map(e => e.mediaId));
+    const seenIds      = new Set(userList.filter(e => e.status !== "PLANNING").map(e => e.mediaId));
+    const entryById    = new Map(userList.map(e => [e.mediaId, e]));
+    const favouriteSet = new Set(favourites.map(f => f.id));
+    const { profile }  = this.buildProfile(userList, userList, favouriteSet);
+
+    onProgress(4, 6, "Filtrage des titres déjà vus…");
+    const candidates = [];
+    const sequels    = [];
+    const added      = new Set();
+    for (const { relations, ...media } of seasonMedia.flat()) {
+      if (added.has(media.id) || seenIds.has(media.id)) continue;
+      added.add(media.id);
+
+      // Suite : seulement si une préquelle a été vue (et pas abandonnée)
+      const prequels = (relations?.edges || [])
+        .filter(e => e.relationType === "PREQUEL" && e.node?.type === "ANIME")
+        .map(e => entryById.get(e.node.id));
+      const reasons = [];
+      if (prequels.length) {
+        const watched = prequels.find(e => e && e.status !== "PLANNING" && e.status !== "DROPPED");
+        if (!watched) continue;
+        const reason = { sourceId: watched.mediaId, sourceTitle: watched.title, type: "suite", rank: 0 };
+        if (watched.score) reason.sourceScore = watched.score;
+        reasons.push(reason);
+        sequels.push(watched.title);
+      }
+      candidates.push({ media, reasons, isPlanning: planningIds.has(media.id) });
+    }
+    console.log(`[Engine] Saison ${periods.map(p => `${p.season} ${p.year}`).join(" + ")} : ${candidates.length} candidats dont ${sequels.length} suites`);
+
+    return {
+      kind:       "season",
+      username,
+      type:       "ANIME",
+      crossMedia: false,
+      sourceType: "ANIME",
+      season:     { season, year, includeNext },
+      limits:     null,
+      sources:    { favourites: [], topRated: [], negatives: [], sequels },
+      profile,
+      candidates,
+      continueLane: [],
+    };
+  }
+
+  /**
+   * Phase locale : exclusions, pondération, bonus tags/genres/studios, tri et diversité.
+   * Pure (aucun appel réseau, aucune mutation de `raw`) — appelée à chaque
+   * changement de réglage ou de blocklist pour un re-classement instantané.
+   *
+   * @param {{ ids?: Set<number>, tags?: Set<string> }} exclusions
+   *        titres masqués / franchises bloquées, et tags bloqués
+   */
+  static rankCandidates(raw, settings = DEFAULT_SETTINGS, exclusions = {}) {
+    const s = { ...DEFAULT_SETTINGS, ...settings };
+    const { profile: ownProfile, statusOf } = this._withListEdits(raw);
+    // Profils à satisfaire : l'utilisateur, ou chaque membre d'un blend
+    // Le profil de l'utilisateur inclut ses modifications de liste depuis les cartes
+    const members = (raw.members || [{ name: raw.username, profile: raw.profile }]).map(({ name, profile }) => {
+      const p = name === raw.username ? ownProfile : profile;
+      return {
+        name,
+        profile: p,
+        tags:    new Map(p.tags),
+        genres:  new Set(p.topGenres),
+        studios: new Map(p.topStudios || []),
+        staff:   new Map(p.topStaff || []),
+      };
+    });
+    const profileOf = new Map(members.map(m => [m.name, m.profile]));
+    const weights    = {
+      "favori": s.weightFavourite, "top noté": s.weightTopRated, "négatif": -s.weightNegative, "suite": s.weightTopRated,
+      "personnage": s.weightCharacter, "staff": s.weightStaff, "studio": s.weightStudio,
+    };
+    const maxRank    = {
+      "favori": s.maxFavSources, "top noté": s.maxTopSources, "négatif": s.maxNegSources, "suite": Infinity,
+      "personnage": s.maxPeopleSources, "staff": s.maxPeopleSources, "studio": s.maxPeopleSources,
+    };
+    // En mode saison, un titre sans raison reste classé sur le seul profil
+    const needsReason = raw.kind !== "season";
+    const excludedIds = exclusions.ids  || new Set();
+    const blockedTags = exclusions.tags || new Set();
+
+    const scored = [];
+    for (const cand of raw.candidates) {
+      // Masqués par l'utilisateur (titre, franchise ou tag central)
+      if (excludedIds.has(cand.media.id)) continue;
+      if ((cand.media.tags || []).some(t => t.rank >= BLOCKED_TAG_MIN_RANK && blockedTags.has(t.name))) continue;
+      // Marqué vu / en cours / abandonné depuis une carte
+      const status = statusOf.get(cand.media.id);
+      if (status && status !== "PLANNING") continue;
+
+      // Sources actives selon les limites courantes (≤ celles du fetch),
+      // hors arêtes désapprouvées par la communauté (rating négatif)
+      const reasons = cand.reasons
+        .filter(r => r.rank < maxRank[r.type] && !(r.rating < 0))
+        .map(r => ({
+          ...r,
+          weight: +(weights[r.type]
+            * this._scoreFactor(r, profileOf.get(r.member) || ownProfile, s.scoreSensitivity)
+            * this._ratingFactor(r, s.ratingInfluence)
+            * (r.hop > 1 ? s.hopDecay ** (r.hop - 1) : 1)).toFixed(2),
+        }));
+      if (needsReason && !reasons.some(r => r.weight > 0)) continue;
+      const baseScore = +reasons.reduce((sum, r) => sum + r.weight, 0).toFixed(1);
+
+      // Affinité avec chaque profil ; en blend, le bonus est la moyenne des membres
+      const fits  = members.map(m => this._profileFit(cand.media, m, s));
+      const bonus = fits.reduce((sum, f) => sum + f.bonus, 0) / fits.length;
+      const affinityBonus = fits.reduce((sum, f) => sum + f.affinityBonus, 0) / fits.length;
+      const common   = this._mergeTags(fits.map(f => f.common), Math.max);
+      const disliked = this._mergeTags(fits.map(f => f.disliked), Math.min);
+      // Blend : un studio / membre du staff apprécié par plusieurs membres n'apparaît qu'une fois
+      const affinity = [...new Map(fits.flatMap(f => f.affinity).map(a => [`${a.kind}:${a.name}`, a])).values()];
+
+      // Positifs d'abord (source affichée sur la carte), pénalités ensuite
+      reasons.sort((a, b) => b.weight - a.weight);
+
+      scored.push({
+        media:        cand.media,
+        isPlanning:   statusOf.has(cand.media.id) ? status === "PLANNING" : cand.isPlanning,
+        franchise:    cand.franchise || [],
+        reasons,
+        baseScore,
+        commonTags:   common.slice(0, 5),
+        dislikedTags: disliked.slice(0, 3),
+        affinity,
+        memberFit:    raw.members ? members.map((m, i) => ({ name: m.name, bonus: +fits[i].bonus.toFixed(1) })) : null,
+        tagBonus:     +bonus.toFixed(1),
+        affinityBonus: +affinityBonus.toFixed(1),
+        score:        +(baseScore + bonus + affinityBonus).toFixed(1),
+      });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    return this._diversify(scored, s.diversity);
+  }
+
+  /**
+   * Re-classement MMR (maximal marginal relevance) : chaque place du haut du
+   * classement revient au titre qui maximise
+   * (1 − diversity) × pertinence − diversity × similarité max avec les titres déjà placés,
+   * la pertinence étant le score normalisé entre 0 et 1. Un titre dépassé par un
+   * autre de score inférieur est marqué `deferred`, avec le titre déjà placé
+   * qui lui ressemble le plus (`similarTo`) pour le backstage.
+   *
+   * @param {object[]} scored — résultats triés par score décroissant
+   */
+  static _diversify(scored, diversity) {
+    if (!(diversity > 0) || scored.length < 2) return scored;
+    const maxScore = scored[0].score;
+    const minScore = scored[scored.length - 1].score;
+    const range    = maxScore - minScore || 1;
+    const pool = scored.map(entry => ({
+      entry,
+      vector:    this._featureVector(entry.media),
+      relevance: (entry.score - minScore) / range,
+      maxSim:    0,
+      closest:   null,
+    }));
+
+    const picked = [];
+    while (picked.length < MMR_WINDOW && pool.length) {
+      let best = 0, bestValue = -Infinity;
+      pool.forEach((c, i) => {
+        const value = (1 - diversity) * c.relevance - diversity * c.maxSim;
+        if (value > bestValue) { best = i; bestValue = value; }
+      });
+      // Les titres de meilleur score dépassés sont repoussés (première explication conservée)
+      for (const c of pool.slice(0, best)) {
+        if (c.entry.deferred) continue;
+        c.entry.deferred  = true;
+        c.entry.similarTo = c.closest;
+      }
+      const [chosen] = pool.splice(best, 1);
+      picked.push(chosen.entry);
+      const title = chosen.entry.media.title.english || chosen.entry.media.title.romaji || `#${chosen.entry.media.id}`;
+      for (const c of pool) {
+        const sim = this._cosine(c.vector, chosen.vector);
+        if (sim > c.maxSim) {
+          c.maxSim  = sim;
+          c.closest = { id: chosen.entry.media.id, title, similarity: +sim.toFixed(2) };
+        }
+      }
+    }
+    return [...picked, ...pool.map(c => c.entry)];
+  }
+
+  /** Vecteur tags (rank / 100) + genres (MMR_GENRE_WEIGHT) d'un média, et sa norme. */
+  static _featureVector(media) {
+    const weights = new Map();
+    for (const t of (media.tags || [])) weights.set(`t:${t.name}`, (t.rank || 0) / 100);
+    for (const g of (media.genres || [])) weights.set(`g:${g}`, MMR_GENRE_WEIGHT);
+    let norm = 0;
+    for (const w of weights.values()) norm += w * w;
+    return { weights, norm: Math.sqrt(norm) };
+  }
+
+  /** Similarité cosinus de deux vecteurs de _featureVector (0 si l'un est vide). */
+  static _cosine(a, b) {
+    if (!a.norm || !b.norm) return 0;
+    const [small, large] = a.weights.size <= b.weights.size ? [a.weights, b.weights] : [b.weights, a.weights];
+    let dot = 0;
+    for (const [key, w] of small) dot += w * (large.get(key) || 0);
+    return dot / (a.norm * b.norm);
+  }
+
+  /**
+   * Affinité d'un média avec un profil : tags communs (affinité nette) et
+   * évités (affinité négative) et genres en commun, et le bonus
+   * correspondant — par tag commun (max 3) − par tag évité (max 3)
+   * + par genre commun (max 3). L'affinité studio / staff est un bonus à
+   * part : chaque studio ou membre clé du staff apprécié apporte son bonus
+   * au prorata de son poids dans le profil, le total étant plafonné.
+   *
+   * @param {{ tags: Map, genres: Set, studios: Map, staff: Map }} profile — profil préparé par rankCandidates
+   */
+  static _profileFit(media, { tags, genres, studios, staff }, s) {
+    const common   = [];
+    const disliked = [];
+    for (const tag of (media.tags || [])) {
+      const u = tags.get(tag.name);
+      if (!u) continue;
+      // Tag vu seulement dans des entrées négatives : moyenne sur ces entrées
+      const strength = Math.round((u.totalRank - s.negativeTagPull * (u.negRank || 0)) / (u.count || u.negCount || 1));
+      if (strength > 0)      common.push({ name: tag.name, strength });
+      else if (strength < 0) disliked.push({ name: tag.name, strength });
+    }
+    common.sort((a, b) => b.strength - a.strength);
+    disliked.sort((a, b) => a.strength - b.strength);
+
+    const matchedGenres  = (media.genres || []).filter(g => genres.has(g));
+    const bonus = (Math.min(common.length, 3) - Math.min(disliked.length, 3)) * s.tagBonus
+      + Math.min(matchedGenres.length, 3) * s.genreBonus;
+
+    // Anciens profils en cache : studios comptés sans poids
+    const share = (p) => Math.min(1, (p.weight ?? p.count) / AFFINITY_FULL_WEIGHT);
+    const affinity = [
+      ...(media.studios?.nodes || []).filter(st => studios.has(st.id))
+        .map(st => ({ kind: "studio", name: st.name, bonus: s.studioBonus * share(studios.get(st.id)) })),
+      ...keyStaff(media).filter(st => staff.has(st.id))
+        .map(st => ({ kind: "staff", name: st.name, role: st.role, bonus: s.staffBonus * share(staff.get(st.id)) })),
+    ].sort((a, b) => b.bonus - a.bonus);
+    affinity.forEach(a => { a.bonus = +a.bonus.toFixed(2); });
+    const affinityBonus = Math.min(AFFINITY_MAX_BONUS, affinity.reduce((sum, a) => sum + a.bonus, 0));
+    return { common, disliked, affinity, affinityBonus, bonus };
+  }
+
+  /**
+   * Fusionne les listes de tags de plusieurs profils (blend) : une entrée par
+   * tag, force retenue par `pick` (Math.max / Math.min), ordre de `pick`.
+   */
+  static _mergeTags(lists, pick) {
+    if (lists.length === 1) return lists[0];
+    const byName = new Map();
+    for (const t of lists.flat()) {
+      byName.set(t.name, byName.has(t.name) ? pick(byName.get(t.name), t.strength) : t.strength);
+    }
+    return [...byName.entries()]
+      .map(([name, strength]) => ({ name, strength }))
+      .sort((a, b) => pick === Math.max ? b.strength - a.strength : a.strength - b.strength);
+  }
+
+  /**
+   * Multiplicateur issu de la note personnelle d'une source top notée (ou de
+   * la préquelle d'une suite), relative à la moyenne de l'utilisateur : 1 + sensibilité × z-score, borné.
+   * Les favoris (sans note) ne sont pas affectés.
+   */
+  static _scoreFactor({ type, sourceScore }, { scoreMean, scoreStd }, sensitivity) {
+    if ((type !== "top noté" && type !== "suite") || !sourceScore || !scoreMean) return 1;
+    const z = (sourceScore - scoreMean) / Math.max(scoreStd, 1);
+    const [min, max] = SCORE_FACTOR_RANGE;
+    return Math.min(max, Math.max(min, 1 + sensitivity * z));
+  }
+
+  /**
+   * Multiplicateur issu du rating communautaire d'une arête de recommandation.
+   * Échelle log normalisée par le meilleur rating de la même source :
+   * la meilleure reco garde 100 % du poids, une reco à 0 vote en garde (1 − influence).
+   */
+  static _ratingFactor({ rating, maxRating }, influence) {
+    if (rating === undefined || !(maxRating > 0)) return 1;
+    const normalized = Math.log1p(Math.max(0, rating)) / Math.log1p(maxRating);
+    return (1 - influence) + influence * normalized;
+  }
+
+  /** Rapport complet dans la console (debug). */
+  static _logReport(raw, results, settings) {
+    const deferredCount = results.filter(e => e.deferred).length;
+    console.group("[Engine] 📊 RAPPORT COMPLET");
+    console.log(`Utilisateur: ${raw.username}  |  Type: ${raw.type}${raw.crossMedia ? ` (sources ${raw.sourceType})` : ""}`);
+    if (raw.kind === "season") {
+      const { season, year, includeNext } = raw.season;
+      console.log(`Saison: ${season} ${year}${includeNext ? " + suivante" : ""}`);
+      console.log(`Suites (×${settings.weightTopRated}):`, raw.sources.sequels);
+    } else {
+      if (raw.members) console.log("Blend:", raw.members.map(m => m.name).join(", "));
+      console.log(`Favoris (×${settings.weightFavourite}):`, raw.sources.favourites);
+      console.log(`Top notés (×${settings.weightTopRated}):`, raw.sources.topRated);
+      console.log(`Négatifs (−${settings.weightNegative}):`, raw.sources.negatives || []);
+      console.log(`Personnages / staff / studios (×${settings.weightCharacter} / ×${settings.weightStaff} / ×${settings.weightStudio}):`, raw.sources.people || []);
+    }
+    console.log(`Candidats: ${raw.candidates.length}  |  Résultats: ${results.length}`);
+    console.log(`Diversité (MMR ${settings.diversity}): ${deferredCount} titres repoussés derrière un titre trop similaire`);
+    console.table(
+      results.slice(0, 30).map(e => ({
+        Titre: (e.media.title.english || e.media.title.romaji || "").substring(0, 40),
+        Score: e.score,
+        Base: e.baseScore,
+        Bonus: e.tagBonus,
+        "Studio/staff": e.affinityBonus,
+        Genre1: (e.media.genres || [])[0] || "-",
+        Sources: e.reasons.length,
+        "Détail": e.reasons.map(r => `${REASON_TYPES[r.type]?.icon || "•"} ${r.sourceTitle}${r.via ? ` → ${r.via.title}` : ""}`).join(" | "),
+        Tags: (e.commonTags || []).map(t => t.name).join(", "),
+        PTW: e.isPlanning ? "✓" : "",
+      }))
+    );
+    console.log("Profil tags:", raw.profile.tags
+      .filter(([, v]) => v.count > 0)
+      .map(([n, v]) => `${n} (${Math.round(v.totalRank / v.count)}%)`)
+      .sort()
+      .slice(0, 20).join(", ")
+    );
+    console.log("Profil genres:", raw.profile.topGenres.join(", "));
+    console.log("Profil studios:", (raw.profile.topStudios || []).map(([, v]) => v.name).join(", "));
+    console.log("Profil staff:", (raw.profile.topStaff || []).map(([, v]) => `${v.name} (${v.role})`).join(", "));
+    console.groupEnd();
+  }
+
+  // ── Mutations : liste et favoris du viewer ────────────────────────────
+
+  static async addToPlanning(mediaId) {
+    return this.saveListEntry(mediaId, { status: "PLANNING" });
+  }
+
+  /** Entrée de liste du viewer ({ id, status, score } ou null) et état favori d'un titre. */
+  static async fetchListEntry(mediaId) {
+    this._requireLogin();
+    const data = await AuthManager.gqlRequest(QUERIES.MEDIA_LIST_ENTRY, { mediaId });
+    return { entry: data.Media.mediaListEntry || null, isFavourite: !!data.Media.isFavourite };
+  }
+
+  /**
+   * Crée ou modifie l'entrée de liste d'un titre.
+   * @param {{ status: string, score?: number }} entry — score sur 10 (0 = sans note)
+   * @returns {{ id: number, status: string, score: number }}
+   */
+  static async saveListEntry(mediaId, { status, score }) {
+    this._requireLogin();
+    const variables = { mediaId, status };
+    if (score !== undefined) variables.scoreRaw = Math.round(score * 10);
+    const data = await AuthManager.gqlRequest(QUERIES.SAVE_MEDIA, variables);
+    return data.SaveMediaListEntry;
+  }
+
+  /**
+   * Ajout groupé : une mutation aliasée (m0: SaveMediaListEntry(…) m1: …)
+   * par lot de BULK_SAVE_CHUNK titres. Le statut est toujours envoyé ;
+   * liste perso, priorité et note seulement si renseignées. Pour un titre
+   * déjà en liste, l'entrée actuelle est lue d'abord : customLists remplaçant
+   * toute l'appartenance, on envoie ses listes perso plus celle choisie, et
+   * la note est ajoutée à la sienne au lieu de la remplacer.
+   * @param {{ mediaId: number, notes?: string }[]} items
+   * @param {{ status?: string, customLists?: string[], priority?: number }} options
+   * @returns {Map<number, { ok: boolean, entryId?: number, error?: string }>} résultat par titre
+   */
+  static async bulkSaveListEntries(items, { status = "PLANNING", customLists = [], priority = 0 } = {}) {
+    this._requireLogin();
+    const results = new Map();
+    await Promise.all(chunks(items, BULK_SAVE_CHUNK).map(async chunk => {
+      const defs = ["$status: MediaListStatus"];
+      const variables = { status };
+      const shared = ["status: $status"];
+      if (priority > 0)       { defs.push("$priority: Int");         variables.priority = priority;       shared.push("priority: $priority"); }
+
+      let existing = new Map();
+      if (customLists.length || chunk.some(it => it.notes)) {
+        try {
+          existing = await this._viewerEntries(chunk.map(it => it.mediaId));
+        } catch (err) {
+          chunk.forEach(({ mediaId }) => results.set(mediaId, { ok: false, error: err.message }));
+          return;
+        }
+      }
+
+      const fragments = chunk.map(({ mediaId, notes }, i) => {
+        const args = [`mediaId: ${mediaId}`, ...shared];
+        const current = existing.get(mediaId);
+        if (current && customLists.length) {
+          defs.push(`$lists${i}: [String]`);
+          variables[`lists${i}`] = [...new Set([...current.customLists, ...customLists])];
+          args.push(`customLists: $lists${i}`);
+        } else if (customLists.length) {
+          if (!("customLists" in variables)) { defs.push("$customLists: [String]"); variables.customLists = customLists; }
+          args.push("customLists: $customLists");
+        }
+        // Note existante conservée : la nouvelle lui est ajoutée, une seule fois
+        if (notes && current?.notes) notes = current.notes.includes(notes) ? "" : `${current.notes}\n${notes}`;
+        if (notes) { defs.push(`$notes${i}: String`); variables[`notes${i}`] = notes; args.push(`notes: $notes${i}`); }
+        return `m${i}: SaveMediaListEntry(${args.join(", ")}) { id mediaId }`;
+      }).join("\n");
+
+      let data, errors = [];
+      try {
+        data = await AuthManager.gqlRequest(`mutation BulkSave(${defs.join(", ")}) { ${fragments} }`, variables);
+      } catch (err) {
+        if (!err.data) {
+          chunk.forEach(({ mediaId }) => results.set(mediaId, { ok: false, error: err.message }));
+          return;
+        }
+        ({ data, errors } = err);
+      }
+      chunk.forEach(({ mediaId }, i) => {
+        const saved = data[`m${i}`];
+        const error = errors.find(e => e.path?.[0] === `m${i}`)?.message || "Échec de l'ajout";
+        results.set(mediaId, saved ? { ok: true, entryId: saved.id } : { ok: false, error });
+      });
+    }));
+    console.log(`[API] Ajout groupé : ${[...results.values()].filter(r => r.ok).length}/${items.length} titres`);
+    return results;
+  }
+
+  /** Entrées des titres déjà dans la liste du viewer : mediaId → { customLists (cochées), notes }. */
+  static async _viewerEntries(mediaIds) {
+    const data = await AuthManager.gqlRequest(QUERIES.VIEWER_ENTRIES, { userId: AuthManager.viewer.id, ids: mediaIds });
+    return new Map((data.Page?.mediaList || []).map(e => [e.mediaId, {
+      customLists: (e.customLists || []).filter(l => l.enabled).map(l => l.name),
+      notes:       e.notes || "",
+    }]));
+  }
+
+  /** Noms des listes personnalisées du viewer pour un type de média. */
+  static async fetchCustomLists(type = "ANIME") {
+    this._requireLogin();
+    const data = await AuthManager.gqlRequest(QUERIES.VIEWER_CUSTOM_LISTS);
+    const options = data.Viewer?.mediaListOptions;
+    return (type === "MANGA" ? options?.mangaList : options?.animeList)?.customLists || [];
+  }
+
+  static async deleteListEntry(entryId) {
+    this._requireLogin();
+    const data = await AuthManager.gqlRequest(QUERIES.DELETE_MEDIA_ENTRY, { id: entryId });
+    return data.DeleteMediaListEntry.deleted;
+  }
+
+  static async toggleFavourite(media) {
+    this._requireLogin();
+    return AuthManager.gqlRequest(QUERIES.TOGGLE_FAVOURITE,
+      media.type === "MANGA" ? { mangaId: media.id } : { animeId: media.id });
+  }
+
+  static _requireLogin() {
+    if (!AuthManager.isLoggedIn) {
+      throw new Error("Connectez-vous pour modifier votre liste.");
+    }
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ResultCache — Résultats par mode (popup + service worker)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Une entrée par utilisateur et par mode dans chrome.storage.local :
+ * { username, mediaType, crossMedia, season, members, results, raw, timestamp }.
+ * `raw` (candidats non scorés) permet de re-classer sans réseau.
+ * L'index (recoCacheIndex) garde taille et dernière utilisation de chaque
+ * entrée : les moins récemment utilisées sont évincées pour rester sous
+ * CACHE_MAX_ENTRIES et CACHE_MAX_BYTES. L'expiration (CACHE_TTL_MS) est
+ * laissée à l'appelant.
+ */
+class ResultCache {
+
+  /**
+   * Partie "mode" de la clé : chaque type de média (et le mode croisé),
+   * chaque saison et chaque groupe de blend a son propre cache.
+   * @param {{ type?: string, crossMedia?: boolean, season?: ?object, members?: string[] }} mode
+   */
+  static modeKey({ type = "ANIME", crossMedia = false, season = null, members = [] } = {}) {
+    if (season) return `SEASON_${season.season}_${season.year}${season.includeNext ? "_next" : ""}`;
+    const base = `${type}${crossMedia ? "_cross" : ""}`;
+    if (members.length) return `BLEND_${base}_${members.map(m => m.toLowerCase()).sort().join("+")}`;
+    return base;
+  }
+
+  static key(username, mode) {
+    return `recoCache:${username.toLowerCase()}:${this.modeKey(mode)}`;
+  }
+
+  /** Mode d'un calcul, tel qu'enregistré dans ses candidats bruts. */
+  static modeOf(raw) {
+    return {
+      type:       raw.type,
+      crossMedia: raw.crossMedia,
+      season:     raw.season || null,
+      members:    raw.blendMembers || [],
+    };
+  }
+
+  /** Sauvegarde sous la clé du mode du calcul (pas forcément le mode affiché). */
+  static async save(username, results, raw, timestamp = Date.now()) {
+    try {
+      const mode  = this.modeOf(raw);
+      const key   = this.key(username, mode);
+      const entry = {
+        username:   username.toLowerCase(),
+        mediaType:  mode.type,
+        crossMedia: mode.crossMedia,
+        season:     mode.season,
+        members:    mode.members,
+        results,
+        raw,
+        timestamp,
+      };
+      const bytes = this._size(key, entry);
+      if (bytes > CACHE_MAX_BYTES) {
+        console.warn(`[Cache] Entrée trop volumineuse (${Math.round(bytes / 1024)} Ko), non sauvegardée`);
+        return;
+      }
+
+      const index = await this.index();
+      delete index[key];
+      index[key] = { username: entry.username, mode, count: results.length, bytes, timestamp, usedAt: Date.now() };
+
+      // Quota atteint malgré le budget (autres clés volumineuses) : on libère plus large une fois
+      for (const budget of [CACHE_MAX_BYTES, CACHE_MAX_BYTES / 2]) {
+        await this._evict(index, key, budget);
+        try {
+          await chrome.storage.local.set({ [key]: entry, [CACHE_INDEX_KEY]: index });
+          break;
+        } catch (e) {
+          if (budget !== CACHE_MAX_BYTES) throw e;
+          console.warn("[Cache] Quota dépassé, éviction supplémentaire:", e.message);
+        }
+      }
+      console.log(`[Cache] Sauvegardé ${results.length} résultats pour ${username} (${key}, ${Math.round(bytes / 1024)} Ko)`);
+    } catch (e) { console.warn("[Cache] Écriture échouée:", e); }
+  }
+
+  /** Entrée de l'utilisateur pour ce mode, ou null. Marque l'entrée comme utilisée. */
+  static async load(username, mode) {
+    try {
+      const key = this.key(username, mode);
+      const { [key]: entry } = await chrome.storage.local.get(key);
+      if (entry?.results?.length) {
+        console.log(`[Cache] Trouvé (${key}): ${entry.results.length} résultats (âge: ${Math.round((Date.now() - entry.timestamp) / 60000)}min)`);
+        const index = await this.index();
+        if (index[key]) {
+          index[key].usedAt = Date.now();
+          await chrome.storage.local.set({ [CACHE_INDEX_KEY]: index });
+        }
+        return entry;
+      }
+    } catch {}
+    return null;
+  }
+
+  /**
+   * Index des entrées { [key]: { username, mode, count, bytes, timestamp, usedAt } }.
+   * Les anciens caches à clé unique (avant l'index) sont supprimés au premier accès.
+   */
+  static async index() {
+    const { [CACHE_INDEX_KEY]: index } = await chrome.storage.local.get(CACHE_INDEX_KEY);
+    if (index) return index;
+
+    const all = await chrome.storage.local.get(null);
+    const legacy = Object.keys(all).filter(k => k.startsWith("recoCache") && !k.startsWith("recoCache:") && k !== CACHE_INDEX_KEY);
+    if (legacy.length) {
+      await chrome.storage.local.remove(legacy);
+      console.log(`[Cache] ${legacy.length} ancien(s) cache(s) supprimé(s)`);
+    }
+    return {};
+  }
+
+  /** Entrées de l'index, de la plus récemment utilisée à la plus ancienne. */
+  static async entries() {
+    const index = await this.index();
+    return Object.entries(index)
+      .map(([key, e]) => ({ key, ...e }))
+      .sort((a, b) => b.usedAt - a.usedAt);
+  }
+
+  /** Octets occupés par le cache, par tout le stockage, et quota du stockage. */
+  static async usage() {
+    const entries = await this.entries();
+    const total   = await chrome.storage.local.getBytesInUse?.(null) ?? null;
+    return {
+      cache: entries.reduce((sum, e) => sum + e.bytes, 0),
+      total,
+      quota: chrome.storage.local.QUOTA_BYTES,
+    };
+  }
+
+  static async remove(key) {
+    const index = await this.index();
+    delete index[key];
+    await chrome.storage.local.remove(key);
+    await chrome.storage.local.set({ [CACHE_INDEX_KEY]: index });
+  }
+
+  static async clear() {
+    const index = await this.index();
+    await chrome.storage.local.remove([...Object.keys(index), CACHE_INDEX_KEY]);
+  }
+
+  /** Évince les entrées les moins récemment utilisées (sauf `keep`) jusqu'à respecter les limites. */
+  static async _evict(index, keep, budget) {
+    const victims = [];
+    const lru = Object.keys(index).filter(k => k !== keep).sort((a, b) => index[a].usedAt - index[b].usedAt);
+    let bytes = Object.values(index).reduce((sum, e) => sum + e.bytes, 0);
+    let count = Object.keys(index).length;
+    for (const k of lru) {
+      if (bytes <= budget && count <= CACHE_MAX_ENTRIES) break;
+      bytes -= index[k].bytes;
+      count--;
+      victims.push(k);
+      delete index[k];
+    }
+    if (victims.length) {
+      await chrome.storage.local.remove(victims);
+      console.log(`[Cache] Éviction LRU : ${victims.join(", ")}`);
+    }
+  }
+
+  /** Taille comptée par chrome.storage (clé + JSON de la valeur, en UTF-8). */
+  static _size(key, entry) {
+    return new TextEncoder().encode(key + JSON.stringify(entry)).length;
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  SourceCache — Recos AniList par source + instantanés de listes
+// ═══════════════════════════════════════════════════════════════════════════
+//  recoSourceCache   : { [mediaId | "staff:95:ANIME"]: { v, perPage, nodes, at } }
+//  recoListSnapshots : { ["user:TYPE"]: { at, entries: { [mediaId]: "STATUS:score" } } }
+// ═══════════════════════════════════════════════════════════════════════════
+
+class SourceCache {
+
+  /**
+   * Nœuds de recommandation encore frais pour ces sources. Une réponse lue
+   * avec plus de recos (perPage supérieur, tri RATING_DESC) sert aussi les
+   * lectures plus courtes.
+   * @returns {Promise<Map<number, object[]>>}
+   */
+  static async get(ids, perPage) {
+    const out = new Map();
+    try {
+      const { [SOURCE_CACHE_KEY]: cache = {} } = await chrome.storage.local.get(SOURCE_CACHE_KEY);
+      for (const id of ids) {
+        const e = cache[id];
+        if (e && e.v === SOURCE_CACHE_VERSION && e.perPage >= perPage && Date.now() - e.at < SOURCE_CACHE_TTL_MS) {
+          out.set(id, e.nodes.slice(0, perPage));
+        }
+      }
+    } catch {}
+    return out;
+  }
+
+  /** Enregistre des réponses fraîches puis évince les plus anciennes au-delà du budget. */
+  static async put(responses, perPage) {
+    try {
+      const { [SOURCE_CACHE_KEY]: cache = {} } = await chrome.storage.local.get(SOURCE_CACHE_KEY);
+      const now = Date.now();
+      for (const [id, nodes] of responses) cache[id] = { v: SOURCE_CACHE_VERSION, perPage, nodes, at: now };
+
+      const sizes = Object.fromEntries(Object.entries(cache).map(([id, e]) => [id, new TextEncoder().encode(JSON.stringify(e)).length]));
+      let bytes = Object.values(sizes).reduce((a, b) => a + b, 0);
+      for (const id of Object.keys(cache).sort((a, b) => cache[a].at - cache[b].at)) {
+        if (bytes <= SOURCE_CACHE_MAX_BYTES) break;
+        bytes -= sizes[id];
+        delete cache[id];
+      }
+      await chrome.storage.local.set({ [SOURCE_CACHE_KEY]: cache });
+    } catch (e) { console.warn("[Cache] Écriture des sources échouée:", e); }
+  }
+
+  /** Nombre de sources en cache et octets occupés. */
+  static async usage() {
+    const { [SOURCE_CACHE_KEY]: cache = {} } = await chrome.storage.local.get(SOURCE_CACHE_KEY);
+    return { count: Object.keys(cache).length, bytes: new TextEncoder().encode(JSON.stringify(cache)).length };
+  }
+
+  static async clear() {
+    await chrome.storage.local.remove([SOURCE_CACHE_KEY, LIST_SNAPSHOT_KEY]);
+  }
+
+  /**
+   * Compare une liste à son instantané précédent puis le remplace.
+   * @returns {Promise<?{ added: number, removed: number, changed: number }>} null au premier passage
+   */
+  static async diffList(username, type, list) {
+    try {
+      const key = `${username.toLowerCase()}:${type}`;
+      const { [LIST_SNAPSHOT_KEY]: snapshots = {} } = await chrome.storage.local.get(LIST_SNAPSHOT_KEY);
+      const entries = Object.fromEntries(list.map(e => [e.mediaId, `${e.status}:${e.score}`]));
+      const before  = snapshots[key]?.entries;
+
+      delete snapshots[key];
+      snapshots[key] = { at: Date.now(), entries };
+      for (const k of Object.keys(snapshots).sort((a, b) => snapshots[a].at - snapshots[b].at).slice(0, -LIST_SNAPSHOT_MAX)) {
+        delete snapshots[k];
+      }
+      await chrome.storage.local.set({ [LIST_SNAPSHOT_KEY]: snapshots });
+
+      if (!before) return null;
+      const diff = { added: 0, removed: 0, changed: 0 };
+      for (const [id, v] of Object.entries(entries)) {
+        if (!(id in before))    diff.added++;
+        else if (before[id] !== v) diff.changed++;
+      }
+      diff.removed = Object.keys(before).filter(id => !(id in entries)).length;
+      console.log(`[Cache] Liste ${key} : +${diff.added} / −${diff.removed} / ${diff.changed} modifiés`);
+      return diff;
+    } catch {
+      return null;
+    }
+  }
+}
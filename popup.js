@@ -1,578 +1,24 @@
 /* ═══════════════════════════════════════════════════════════════════════════
    AniList Smart Recommendations v2.0 — popup.js
    ─────────────────────────────────────────────────
-   Architecture :
-     • AuthManager            → OAuth2 AniList + gestion du token
-     • RecommendationEngine   → Logique de calcul pure (GraphQL, scoring, sources)
+   Architecture (le moteur est dans engine.js, chargé avant ce fichier) :
      • UIRenderer             → Gestion du DOM (cartes, filtres, backstage, etc.)
+     • ExportManager          → Export CSV / JSON / MAL XML, import de snapshot
+     • FilterManager          → Filtres combinables de la grille (persistés)
      • App                    → Contrôleur principal (orchestration)
    ═══════════════════════════════════════════════════════════════════════════ */
 
 "use strict";
 
-// ─── Constants ──────────────────────────────────────────────────────────────
-const ANILIST_API     = "https://graphql.anilist.co";
-const ANILIST_AUTH_URL = "https://anilist.co/api/v2/oauth/authorize";
-const WEIGHT_FAVOURITE = 2;
-const WEIGHT_TOP_RATED = 1;
-const TAG_BONUS        = 0.5;             // bonus par tag commun (max 3 tags = +1.5)
-const GENRE_BONUS      = 0.3;             // bonus par genre commun avec profil (max 3 = +0.9)
-const DIVERSITY_CAP    = 5;               // max d'animes du même genre principal dans le top
-const CACHE_TTL_MS     = 24 * 60 * 60 * 1000; // 24 heures
-const MAX_RETRIES      = 4;               // retry on 429
-const MAX_FAV_SOURCES  = 15;              // max favoris utilisés comme source
-const MAX_TOP_SOURCES  = 10;              // max top notés utilisés comme source
-
-// Client ID chargé depuis config.js — NE PAS modifier ici
-const ANILIST_CLIENT_ID = (typeof CONFIG !== "undefined" && CONFIG.ANILIST_CLIENT_ID !== "YOUR_CLIENT_ID")
-  ? CONFIG.ANILIST_CLIENT_ID
-  : "YOUR_CLIENT_ID";
-
-/** Pause utilitaire. */
-const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-
-
-// ═══════════════════════════════════════════════════════════════════════════
-//  GraphQL Queries & Mutations
-// ═══════════════════════════════════════════════════════════════════════════
-
-const QUERIES = {
-
-  /** Profil du viewer authentifié. */
-  VIEWER: `
-    query {
-      Viewer {
-        id
-        name
-        avatar { medium large }
-      }
-    }
-  `,
-
-  /** Favoris animés (paginés) + titre source pour la justification. */
-  USER_FAVOURITES: `
-    query ($username: String!, $page: Int) {
-      User(name: $username) {
-        favourites {
-          anime(page: $page, perPage: 25) {
-            pageInfo { hasNextPage }
-            nodes {
-              id
-              title { romaji english }
-            }
-          }
-        }
-      }
-    }
-  `,
-
-  /** Liste complète (tous statuts), triée par score, avec tags et statut. */
-  USER_LIST: `
-    query ($username: String!) {
-      MediaListCollection(userName: $username, type: ANIME, sort: SCORE_DESC) {
-        lists {
-          status
-          entries {
-            mediaId
-            score(format: POINT_10)
-            status
-            media {
-              title { romaji english }
-              genres
-              tags { name rank }
-            }
-          }
-        }
-      }
-    }
-  `,
-
-  /** Recommandations AniList pour un anime donné. */
-  MEDIA_RECOMMENDATIONS: `
-    query ($mediaId: Int!, $page: Int) {
-      Media(id: $mediaId) {
-        recommendations(page: $page, perPage: 25, sort: RATING_DESC) {
-          pageInfo { hasNextPage }
-          nodes {
-            rating
-            mediaRecommendation {
-              id
-              title { romaji english }
-              coverImage { large extraLarge }
-              format
-              episodes
-              season
-              seasonYear
-              meanScore
-              genres
-              tags { name rank }
-              siteUrl
-            }
-          }
-        }
-      }
-    }
-  `,
-
-  /** Mutation : Ajouter un anime à la liste PLANNING. */
-  SAVE_MEDIA: `
-    mutation ($mediaId: Int!) {
-      SaveMediaListEntry(mediaId: $mediaId, status: PLANNING) {
-        id
-        status
-      }
-    }
-  `,
+// Statuts proposés par le menu d'une carte (ordre d'affichage)
+const LIST_STATUS_LABELS = {
+  CURRENT:   "▶ En cours",
+  COMPLETED: "✔ Terminé",
+  PAUSED:    "⏸ En pause",
+  DROPPED:   "✖ Abandonné",
+  PLANNING:  "📋 Planning",
 };
-
-
-// ═══════════════════════════════════════════════════════════════════════════
-//  AuthManager — OAuth2 AniList + gestion du token
-// ═══════════════════════════════════════════════════════════════════════════
-
-class AuthManager {
-
-  static _token = null;
-  static _viewer = null;
-
-  /** Charge le token et le viewer stockés, vérifie la validité. */
-  static async init() {
-    try {
-      const { anilistToken, anilistViewer } = await chrome.storage.local.get(["anilistToken", "anilistViewer"]);
-      if (anilistToken) {
-        this._token = anilistToken;
-        // Restaurer le viewer depuis le storage (instantané, pas d'API call)
-        if (anilistViewer) {
-          this._viewer = anilistViewer;
-        } else {
-          // Fallback: fetch du viewer si pas en cache
-          this._viewer = await this._fetchViewer();
-          chrome.storage.local.set({ anilistViewer: this._viewer });
-        }
-        return true;
-      }
-    } catch {
-      await this.logout();
-    }
-    return false;
-  }
-
-  /** Lance le flow OAuth2 via chrome.identity. */
-  static async login() {
-    if (!ANILIST_CLIENT_ID || ANILIST_CLIENT_ID === "YOUR_ANILIST_CLIENT_ID") {
-      throw new Error(
-        "Client ID non configuré. Créez une app sur https://anilist.co/settings/developer, " +
-        "puis collez votre Client ID dans popup.js (ligne ANILIST_CLIENT_ID)."
-      );
-    }
-    const redirectUri = chrome.identity.getRedirectURL();
-    console.log("[Auth] Redirect URI:", redirectUri);
-
-    // AniList implicit grant : pas de redirect_uri dans l'URL,
-    // AniList utilise celle configurée dans les settings développeur.
-    const authUrl =
-      `${ANILIST_AUTH_URL}?client_id=${ANILIST_CLIENT_ID}` +
-      `&response_type=token`;
-
-    console.log("[Auth] Auth URL:", authUrl);
-
-    return new Promise((resolve, reject) => {
-      chrome.identity.launchWebAuthFlow(
-        { url: authUrl, interactive: true },
-        (responseUrl) => {
-          console.log("[Auth] Response URL:", responseUrl);
-          if (chrome.runtime.lastError || !responseUrl) {
-            const errMsg = chrome.runtime.lastError?.message || "Authentification annulée";
-            console.error("[Auth] Erreur:", errMsg);
-            reject(new Error(errMsg));
-            return;
-          }
-          const hashParams = new URLSearchParams(responseUrl.split("#")[1]);
-          const token = hashParams.get("access_token");
-          if (!token) { reject(new Error("Aucun token dans la réponse")); return; }
-
-          this._token = token;
-          chrome.storage.local.set({ anilistToken: token });
-          // Fetch and persist viewer profile
-          this._fetchViewer().then(viewer => {
-            chrome.storage.local.set({ anilistViewer: viewer });
-          }).catch(() => {});
-          resolve(token);
-        }
-      );
-    });
-  }
-
-  /** Déconnexion — efface token, viewer et cache de résultats. */
-  static async logout() {
-    this._token = null;
-    this._viewer = null;
-    await chrome.storage.local.remove(["anilistToken", "anilistViewer", "recoCache"]);
-  }
-
-  /** Requête GraphQL avec retry automatique sur rate-limit (429). */
-  static async gqlRequest(query, variables = {}, _attempt = 0) {
-    const headers = {
-      "Content-Type": "application/json",
-      "Accept": "application/json",
-    };
-    if (this._token) headers["Authorization"] = `Bearer ${this._token}`;
-
-    const payload = { query, variables };
-    const body = JSON.stringify(payload);
-
-    // 🔍 Console: requête GraphQL sortante
-    const queryName = query.match(/^\s*(query|mutation)\s+(\w+)?/m);
-    const label = queryName ? (queryName[2] || queryName[1]) : "anonymous";
-    console.groupCollapsed(`[GQL →] ${label}  vars=${JSON.stringify(variables)}`);
-    console.log("Query:", query.trim());
-    console.log("Variables:", variables);
-    console.groupEnd();
-
-    const res = await fetch(ANILIST_API, { method: "POST", headers, body });
-
-    // ── Rate-limit : retry avec backoff exponentiel ──
-    if (res.status === 429) {
-      if (_attempt >= MAX_RETRIES) throw new Error("AniList API: Too Many Requests.");
-      const retryAfter = parseInt(res.headers.get("Retry-After") || "0", 10);
-      const backoff = retryAfter > 0 ? retryAfter * 1000 : (2 ** _attempt) * 1500;
-      console.log(`[API] 429 — retry #${_attempt + 1} dans ${backoff}ms`);
-      await sleep(backoff);
-      return this.gqlRequest(query, variables, _attempt + 1);
-    }
-
-    let json;
-    try { json = await res.json(); } catch {
-      throw new Error(`AniList API ${res.status}: réponse non-JSON`);
-    }
-
-    if (json.errors && json.errors.length > 0) {
-      const msg = json.errors.map(e => e.message).join(", ");
-      if (msg.toLowerCase().includes("invalid token") || res.status === 401) {
-        await this.logout();
-        throw new Error("TOKEN_EXPIRED");
-      }
-      throw new Error(`AniList API: ${msg}`);
-    }
-
-    if (!res.ok && !json.data) throw new Error(`AniList API ${res.status}`);
-
-    // 🔍 Console: réponse GraphQL
-    console.groupCollapsed(`[GQL ←] ${label}  status=${res.status}`);
-    console.log("Data:", json.data);
-    console.groupEnd();
-
-    return json.data;
-  }
-
-  /** Récupère le profil Viewer et le persiste. */
-  static async _fetchViewer() {
-    const data = await this.gqlRequest(QUERIES.VIEWER);
-    if (!data.Viewer) throw new Error("Pas de viewer");
-    this._viewer = data.Viewer;
-    chrome.storage.local.set({ anilistViewer: data.Viewer });
-    return data.Viewer;
-  }
-
-  static get token()      { return this._token; }
-  static get viewer()     { return this._viewer; }
-  static get isLoggedIn() { return !!this._token && !!this._viewer; }
-}
-
-
-// ═══════════════════════════════════════════════════════════════════════════
-//  RecommendationEngine — Logique pure (aucun DOM)
-// ═══════════════════════════════════════════════════════════════════════════
-//  Chaque résultat :
-//  {
-//    media,
-//    score,
-//    reasons:    [{ sourceTitle, type, weight }],
-//    commonTags: [{ name, strength }],
-//  }
-// ═══════════════════════════════════════════════════════════════════════════
-
-class RecommendationEngine {
-
-  // ── Favoris (avec titre) ──────────────────────────────────────────────
-
-  static async fetchAllFavourites(username) {
-    const results = [];
-    let page = 1, hasNext = true;
-
-    while (hasNext) {
-      const data = await AuthManager.gqlRequest(QUERIES.USER_FAVOURITES, { username, page });
-      if (!data.User) throw new Error(`Utilisateur "${username}" introuvable`);
-      const anime = data.User.favourites.anime;
-      for (const n of anime.nodes) {
-        results.push({ id: n.id, title: n.title.english || n.title.romaji || `#${n.id}` });
-      }
-      hasNext = anime.pageInfo.hasNextPage;
-      page++;
-    }
-    return results;
-  }
-
-  // ── Liste complète (avec tags) ────────────────────────────────────────
-
-  static async fetchUserList(username) {
-    const data = await AuthManager.gqlRequest(QUERIES.USER_LIST, { username });
-    const all = [];
-    for (const list of data.MediaListCollection.lists) {
-      for (const entry of list.entries) {
-        all.push({
-          mediaId: entry.mediaId,
-          score:   entry.score,
-          status:  entry.status || list.status,
-          title:   entry.media.title.english || entry.media.title.romaji,
-          genres:  entry.media.genres || [],
-          tags:    (entry.media.tags || []).map(t => ({ name: t.name, rank: t.rank })),
-        });
-      }
-    }
-    all.sort((a, b) => b.score - a.score);
-    return all;
-  }
-
-  // ── Recommandations d'un anime ────────────────────────────────────────
-
-  static async fetchRecommendationsForMedia(mediaId) {
-    // Page 1 uniquement (top 25 recos les mieux notées, largement suffisant)
-    const data = await AuthManager.gqlRequest(QUERIES.MEDIA_RECOMMENDATIONS, { mediaId, page: 1 });
-    const recs = data.Media.recommendations;
-    return recs.nodes
-      .filter(n => n.mediaRecommendation)
-      .map(n => n.mediaRecommendation);
-  }
-
-  // ── Pipeline complet ──────────────────────────────────────────────────
-
-  static async computeRecommendations(username, onProgress = () => {}) {
-
-    // 1. Récupération parallèle
-    onProgress(1, 6, "Récupération de vos favoris et de votre liste…");
-    const [favourites, userList] = await Promise.all([
-      this.fetchAllFavourites(username),
-      this.fetchUserList(username),
-    ]);
-
-    // 2. Ensembles
-    // Séparer les PLANNING des vrais "vus" — les PLANNING restent dans les recos
-    const planningIds  = new Set(userList.filter(e => e.status === "PLANNING").map(e => e.mediaId));
-    const seenIds      = new Set(userList.filter(e => e.status !== "PLANNING").map(e => e.mediaId));
-    const topRated     = userList.filter(e => e.status !== "PLANNING" && e.score > 0).slice(0, MAX_TOP_SOURCES + MAX_FAV_SOURCES);
-    const favouriteSet = new Set(favourites.map(f => f.id));
-    const topOnly      = topRated.filter(e => !favouriteSet.has(e.mediaId)).slice(0, MAX_TOP_SOURCES);
-
-    // Profil de tags utilisateur (poids = rank moyen)
-    const userTagMap = new Map();
-    for (const entry of userList) {
-      for (const tag of entry.tags) {
-        const ex = userTagMap.get(tag.name);
-        if (ex) { ex.totalRank += tag.rank; ex.count++; }
-        else    { userTagMap.set(tag.name, { totalRank: tag.rank, count: 1 }); }
-      }
-    }
-
-    // Profil de genres utilisateur (fréquence)
-    const userGenreMap = new Map();
-    for (const entry of userList) {
-      for (const g of entry.genres) {
-        userGenreMap.set(g, (userGenreMap.get(g) || 0) + 1);
-      }
-    }
-    // Top genres = ceux qui reviennent le plus
-    const topGenres = new Set(
-      [...userGenreMap.entries()]
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .map(([g]) => g)
-    );
-
-    console.log("[Engine] Profil genres:", [...topGenres]);
-    console.log("[Engine] Profil tags (top 15):",
-      [...userTagMap.entries()]
-        .map(([n, v]) => ({ name: n, avg: Math.round(v.totalRank / v.count), count: v.count }))
-        .sort((a, b) => b.avg - a.avg)
-        .slice(0, 15)
-    );
-
-    // 3. Tâches — favoris (×2, max 25) + top rated hors favoris (×1, max 15)
-    const tasks = [];
-    const usedFavs = favourites.slice(0, MAX_FAV_SOURCES);
-    for (const fav of usedFavs) {
-      tasks.push({ mediaId: fav.id, weight: WEIGHT_FAVOURITE, sourceTitle: fav.title, type: "favori" });
-    }
-    for (const entry of topOnly) {
-      tasks.push({ mediaId: entry.mediaId, weight: WEIGHT_TOP_RATED, sourceTitle: entry.title, type: "top noté" });
-    }
-
-    console.log(`[Engine] ${usedFavs.length} favoris + ${topOnly.length} top notés = ${tasks.length} sources`);
-    onProgress(2, 6, `Analyse de ${tasks.length} sources…`);
-
-    // 4. UNE SEULE requête GraphQL compound pour TOUTES les sources
-    //    Construit dynamiquement: { m0: Media(id:X){recommendations{...}} m1: ... }
-    const scoreMap = new Map();
-
-    // Découper en chunks de 12 max (limite de complexité AniList)
-    const CHUNK = 12;
-    for (let c = 0; c < tasks.length; c += CHUNK) {
-      const chunk = tasks.slice(c, c + CHUNK);
-
-      // Construire la query compound
-      const fragments = chunk.map((t, i) => `
-        m${i}: Media(id: ${t.mediaId}) {
-          recommendations(page: 1, perPage: 15, sort: RATING_DESC) {
-            nodes {
-              mediaRecommendation {
-                id
-                title { romaji english }
-                coverImage { large extraLarge }
-                format
-                episodes
-                season
-                seasonYear
-                meanScore
-                genres
-                tags { name rank }
-                siteUrl
-              }
-            }
-          }
-        }
-      `).join("\n");
-      const compoundQuery = `query { ${fragments} }`;
-
-      try {
-        const data = await AuthManager.gqlRequest(compoundQuery, {});
-
-        // Parser les résultats
-        chunk.forEach((task, i) => {
-          const mediaData = data[`m${i}`];
-          if (!mediaData?.recommendations?.nodes) return;
-
-          for (const node of mediaData.recommendations.nodes) {
-            const media = node.mediaRecommendation;
-            if (!media) continue;
-            const reason = { sourceTitle: task.sourceTitle, type: task.type, weight: task.weight };
-            const existing = scoreMap.get(media.id);
-            if (existing) {
-              existing.baseScore += task.weight;
-              existing.reasons.push(reason);
-            } else {
-              scoreMap.set(media.id, { media, baseScore: task.weight, reasons: [reason] });
-            }
-          }
-        });
-      } catch (err) {
-        console.warn(`[Engine] Échec batch compound:`, err);
-      }
-
-      const done = Math.min(c + CHUNK, tasks.length);
-      const pct = Math.round((done / tasks.length) * 100);
-      onProgress(3, 6, `Recommandations : ${done}/${tasks.length} (${pct}%)…`);
-    }
-
-    // 5. Filtrage — exclure les vus, mais garder les PLANNING avec un flag
-    onProgress(4, 6, "Filtrage des titres déjà vus…");
-    const filtered = [];
-    for (const [mediaId, entry] of scoreMap) {
-      if (seenIds.has(mediaId)) continue; // Exclure les vrais vus
-      entry.isPlanning = planningIds.has(mediaId);
-      filtered.push(entry);
-    }
-
-    // 6. Tags communs + genre communs + bonus de score
-    onProgress(5, 6, "Analyse des tags et genres communs…");
-    for (const entry of filtered) {
-      // Tags communs
-      const common = [];
-      for (const tag of (entry.media.tags || [])) {
-        if (userTagMap.has(tag.name)) {
-          const u = userTagMap.get(tag.name);
-          common.push({ name: tag.name, strength: Math.round(u.totalRank / u.count) });
-        }
-      }
-      common.sort((a, b) => b.strength - a.strength);
-      entry.commonTags = common.slice(0, 5);
-
-      // Genres communs avec le profil
-      const mediaGenres = entry.media.genres || [];
-      const matchedGenres = mediaGenres.filter(g => topGenres.has(g));
-
-      // Bonus : +0.5 par tag commun (max 3 → +1.5) + 0.3 par genre commun (max 3 → +0.9)
-      const tagBonus   = Math.min(common.length, 3) * TAG_BONUS;
-      const genreBonus = Math.min(matchedGenres.length, 3) * GENRE_BONUS;
-      entry.tagBonus   = +(tagBonus + genreBonus).toFixed(1);
-      entry.score      = +(entry.baseScore + tagBonus + genreBonus).toFixed(1);
-    }
-
-    // 7. Tri + diversité de genres
-    onProgress(6, 6, "Tri et diversification…");
-    filtered.sort((a, b) => b.score - a.score);
-
-    // Re-rank : empêcher qu'un genre monopolise le top
-    // On prend les résultats triés et on applique un plafond par "genre principal"
-    const diversified = [];
-    const genreCount  = new Map();  // combien de fois ce genre est déjà placé
-    const deferred    = [];         // animes repoussés car genre saturé
-
-    for (const entry of filtered) {
-      const primaryGenre = (entry.media.genres || [])[0] || "Unknown";
-      const count = genreCount.get(primaryGenre) || 0;
-
-      if (count < DIVERSITY_CAP) {
-        diversified.push(entry);
-        genreCount.set(primaryGenre, count + 1);
-      } else {
-        // Pénalité de rang, pas de suppression
-        deferred.push(entry);
-      }
-    }
-    // Les animes déférés sont ajoutés après, dans leur ordre de score
-    const finalResults = [...diversified, ...deferred];
-
-    // 8. Debug complet dans la console
-    console.group("[Engine] 📊 RAPPORT COMPLET");
-    console.log(`Utilisateur: ${username}`);
-    console.log(`Favoris (×${WEIGHT_FAVOURITE}):`, favourites.map(f => f.title));
-    console.log(`Top notés (×${WEIGHT_TOP_RATED}):`, topOnly.map(e => e.title));
-    console.log(`Total sources: ${tasks.length}  |  Résultats: ${finalResults.length}`);
-    console.log(`Diversité: ${deferred.length} animes repoussés pour éviter la saturation de genre`);
-    console.table(
-      finalResults.slice(0, 30).map(e => ({
-        Titre: (e.media.title.english || e.media.title.romaji || "").substring(0, 40),
-        Score: e.score,
-        Base: e.baseScore,
-        Bonus: e.tagBonus,
-        Genre1: (e.media.genres || [])[0] || "-",
-        Sources: e.reasons.length,
-        "Détail": e.reasons.map(r => `${r.type === "favori" ? "★" : "▲"} ${r.sourceTitle}`).join(" | "),
-        Tags: (e.commonTags || []).map(t => t.name).join(", "),
-        PTW: e.isPlanning ? "✓" : "",
-      }))
-    );
-    console.log("Profil tags:", [...userTagMap.entries()]
-      .map(([n, v]) => `${n} (${Math.round(v.totalRank / v.count)}%)`)
-      .sort()
-      .slice(0, 20).join(", ")
-    );
-    console.log("Profil genres:", [...topGenres].join(", "));
-    console.groupEnd();
-
-    return finalResults;
-  }
-
-  // ── Mutation : Ajouter à PLANNING ─────────────────────────────────────
-
-  static async addToPlanning(mediaId) {
-    if (!AuthManager.isLoggedIn) {
-      throw new Error("Connectez-vous pour ajouter un anime.");
-    }
-    return AuthManager.gqlRequest(QUERIES.SAVE_MEDIA, { mediaId });
-  }
-}
-
+const TOAST_DURATION_MS = 8000;
 
 // ═══════════════════════════════════════════════════════════════════════════
 //  UIRenderer — Gestion du DOM
@@ -582,6 +28,10 @@ class UIRenderer {
 
   static els = {};
 
+  static _statusMsg = "";
+  static _toastTimer = null;
+  static provisional = false;    // grille provisoire affichée pendant un calcul
+
   static init() {
     this.els = {
       // Auth
@@ -591,22 +41,73 @@ class UIRenderer {
       userName:        document.getElementById("user-name"),
       userProfile:     document.getElementById("user-profile"),
       searchSection:   document.getElementById("search-section"),
+      // Mode (type de média)
+      mediaTypeSwitch: document.getElementById("media-type-switch"),
+      recoOptions:     document.getElementById("reco-options"),
+      crossToggle:     document.getElementById("cross-media-toggle"),
+      crossLabel:      document.getElementById("cross-media-label"),
+      seasonPicker:    document.getElementById("season-picker"),
+      seasonSelect:    document.getElementById("season-select"),
+      seasonYear:      document.getElementById("season-year"),
+      seasonNext:      document.getElementById("season-next-toggle"),
+      blendToggle:     document.getElementById("blend-toggle"),
+      blendMembers:    document.getElementById("blend-members"),
       // Core
       input:           document.getElementById("username-input"),
       fetchBtn:        document.getElementById("fetch-btn"),
       statusSec:       document.getElementById("status-section"),
       statusText:      document.getElementById("status-text"),
       progressBar:     document.getElementById("progress-bar"),
+      cancelBtn:       document.getElementById("cancel-btn"),
       errorSec:        document.getElementById("error-section"),
       errorText:       document.getElementById("error-text"),
       filtersSec:      document.getElementById("filters-section"),
       genreFiltersRow: document.getElementById("genre-filters-row"),
       formatFiltersRow:document.getElementById("format-filters-row"),
+      advFilters:      document.getElementById("advanced-filters"),
+      statusFilters:   document.getElementById("status-filters"),
+      excludedTags:    document.getElementById("excluded-tags"),
+      tagExcludeInput: document.getElementById("tag-exclude-input"),
+      tagExcludeList:  document.getElementById("tag-exclude-options"),
+      minScoreValue:   document.getElementById("min-score-value"),
+      filtersReset:    document.getElementById("filters-reset"),
+      searchInput:     document.getElementById("grid-search"),
+      sortSelect:      document.getElementById("grid-sort"),
+      selectBtn:       document.getElementById("select-btn"),
+      bulkBar:         document.getElementById("bulk-bar"),
+      bulkCount:       document.getElementById("bulk-count"),
+      bulkList:        document.getElementById("bulk-list"),
+      bulkPriority:    document.getElementById("bulk-priority"),
+      bulkNote:        document.getElementById("bulk-note"),
+      bulkReport:      document.getElementById("bulk-report"),
       grid:            document.getElementById("grid-container"),
+      continueLane:    document.getElementById("continue-lane"),
+      continueRow:     document.getElementById("continue-row"),
       statsBadge:      document.getElementById("stats-badge"),
+      provisionalBanner: document.getElementById("provisional-banner"),
+      entryMenu:       document.getElementById("entry-menu"),
+      toast:           document.getElementById("toast"),
+      toastText:       document.getElementById("toast-text"),
+      toastUndo:       document.getElementById("toast-undo"),
       // Refresh
       refreshBtn:      document.getElementById("refresh-btn"),
       staleBanner:     document.getElementById("stale-banner"),
+      // Export / import
+      exportBtn:       document.getElementById("export-btn"),
+      exportMenu:      document.getElementById("export-menu"),
+      importInput:     document.getElementById("import-input"),
+      // Réglages
+      settingsBtn:     document.getElementById("settings-btn"),
+      settingsPanel:   document.getElementById("settings-panel"),
+      settingsClose:   document.getElementById("settings-close"),
+      settingsPresets: document.getElementById("settings-presets"),
+      settingsList:    document.getElementById("settings-list"),
+      settingsNote:    document.getElementById("settings-note"),
+      settingsReset:   document.getElementById("settings-reset"),
+      malImports:      document.getElementById("mal-imports"),
+      malImportBtn:    document.getElementById("mal-import-btn"),
+      malImportInput:  document.getElementById("mal-import-input"),
+      malImportStatus: document.getElementById("mal-import-status"),
       // Backstage
       backstage:       document.getElementById("backstage-panel"),
       backstageClose:  document.getElementById("backstage-close"),
@@ -614,6 +115,19 @@ class UIRenderer {
       backstageScore:  document.getElementById("backstage-score"),
       backstageReasons:document.getElementById("backstage-reasons"),
       backstageTags:   document.getElementById("backstage-tags"),
+      backstageActions:document.getElementById("backstage-actions"),
+      // Blocklist
+      blocklistBtn:    document.getElementById("blocklist-btn"),
+      blocklistPanel:  document.getElementById("blocklist-panel"),
+      blocklistClose:  document.getElementById("blocklist-close"),
+      cacheBtn:        document.getElementById("cache-btn"),
+      cachePanel:      document.getElementById("cache-panel"),
+      cacheClose:      document.getElementById("cache-close"),
+      cacheList:       document.getElementById("cache-list"),
+      cacheUsage:      document.getElementById("cache-usage"),
+      blocklistMedia:  document.getElementById("blocklist-media"),
+      blocklistFranchises: document.getElementById("blocklist-franchises"),
+      blocklistTags:   document.getElementById("blocklist-tags"),
     };
   }
 
@@ -640,26 +154,66 @@ class UIRenderer {
       "Votre pseudo AniList (ex: Josh)";
   }
 
+  // ── Mode (type de média / saison / blend) ─────────────────────────────
+
+  /**
+   * @param {{ type: string, crossMedia: boolean, season: ?object, blend: boolean, blendMembers: string[] }} mode
+   *        season — { season, year, includeNext } en mode saison, null sinon
+   */
+  static setMediaMode({ type, crossMedia, season, blend, blendMembers }) {
+    this.els.mediaTypeSwitch.querySelectorAll(".mode-btn").forEach(b => {
+      b.classList.toggle("active", b.dataset.type === (season ? "SEASON" : type));
+    });
+    this.els.recoOptions.style.display  = season ? "none" : "";
+    this.els.seasonPicker.style.display = season ? "inline-flex" : "none";
+    this.els.blendToggle.checked        = blend;
+    this.els.blendMembers.style.display = blend ? "" : "none";
+    this.els.blendMembers.value         = blendMembers.join(", ");
+    this.els.crossToggle.checked = crossMedia;
+    this.els.crossLabel.textContent = type === "MANGA"
+      ? "Croisé : vos animes → mangas"
+      : "Croisé : vos mangas → animes";
+    if (season) {
+      this.els.seasonSelect.value = season.season;
+      this.els.seasonYear.value   = season.year;
+      this.els.seasonNext.checked = season.includeNext;
+    }
+  }
+
   // ── Sections ──────────────────────────────────────────────────────────
 
   static showStatus(msg, pct = 0) {
+    this.setProvisional(false);
     this.els.statusSec.style.display   = "block";
     this.els.errorSec.style.display    = "none";
     this.els.filtersSec.style.display  = "none";
     this.els.grid.style.display        = "none";
+    this.els.continueLane.style.display = "none";
     this.els.statusText.textContent    = msg;
     this.els.progressBar.style.width   = `${pct}%`;
+    this._statusMsg = msg;
+  }
+
+  /** Retour à l'écran vide (calcul annulé sans résultats précédents). */
+  static hideStatus() {
+    this.setProvisional(false);
+    this.els.statusSec.style.display  = "none";
+    this.els.filtersSec.style.display = "none";
+    this.els.grid.style.display       = "none";
   }
 
   static showError(msg) {
+    this.setProvisional(false);
     this.els.statusSec.style.display   = "none";
     this.els.errorSec.style.display    = "block";
     this.els.filtersSec.style.display  = "none";
     this.els.grid.style.display        = "none";
+    this.els.continueLane.style.display = "none";
     this.els.errorText.textContent     = msg;
   }
 
   static showResults() {
+    this.setProvisional(false);
     this.els.statusSec.style.display   = "none";
     this.els.errorSec.style.display    = "none";
     this.els.filtersSec.style.display  = "block";
@@ -667,51 +221,127 @@ class UIRenderer {
   }
 
   static onProgress(step, total, message) {
-    UIRenderer.showStatus(message, Math.round((step / total) * 100));
+    const pct = Math.round((step / total) * 100);
+    if (!UIRenderer.provisional) { UIRenderer.showStatus(message, pct); return; }
+    // Grille provisoire affichée : seule la progression change
+    UIRenderer.els.statusText.textContent  = message;
+    UIRenderer.els.progressBar.style.width = `${pct}%`;
+    UIRenderer._statusMsg = message;
   }
 
-  static setStatsBadge(count) {
-    this.els.statsBadge.textContent = `${count} résultat${count > 1 ? "s" : ""}`;
-    this.els.statsBadge.classList.add("visible");
+  /**
+   * Grille provisoire pendant le calcul : progression et bouton Annuler
+   * restent visibles au-dessus des résultats, marqués "provisoires".
+   */
+  static showProvisional() {
+    this.setProvisional(true);
+    this.els.errorSec.style.display   = "none";
+    this.els.filtersSec.style.display = "block";
+    this.els.grid.style.display       = "grid";
   }
 
-  // ── Genre Filters ─────────────────────────────────────────────────────
+  static setProvisional(on) {
+    this.provisional = on;
+    this.els.provisionalBanner.style.display = on ? "block" : "none";
+    this.els.grid.classList.toggle("provisional", on);
+    this.els.statsBadge.classList.toggle("provisional", on);
+  }
 
-  static renderGenreFilters(genres, onFilter) {
-    const row = this.els.genreFiltersRow;
-    row.innerHTML = "";
-    row.appendChild(this._chip("Tous", "all", true, "genre"));
-    for (const g of genres) row.appendChild(this._chip(g, g, false, "genre"));
+  /** Attente du rate limit AniList (RateLimiter.onWait) : remplace le message de progression. */
+  static showRateLimitWait(seconds) {
+    if (this.els.statusSec.style.display === "none") return;
+    this.els.statusText.textContent = seconds
+      ? `⏳ En attente du rate limit AniList (${seconds} s)…`
+      : this._statusMsg;
+  }
 
-    row.addEventListener("click", (e) => {
-      const chip = e.target.closest(".filter-chip[data-ft='genre']");
-      if (!chip) return;
-      row.querySelectorAll(".filter-chip").forEach(c => c.classList.remove("active"));
-      chip.classList.add("active");
-      onFilter(chip.dataset.value);
-    });
+  /** Bandeau d'un snapshot importé (clic → retour aux données en direct). */
+  static showSnapshotBanner({ username, exportedAt }) {
+    const date = exportedAt ? new Date(exportedAt).toLocaleString("fr-FR") : "date inconnue";
+    this.els.staleBanner.textContent = `📂 Snapshot${username ? ` de ${username}` : ""} du ${date} — Cliquer ici pour actualiser`;
+    this.els.staleBanner.style.display = "block";
   }
 
-  // ── Format Filters ────────────────────────────────────────────────────
+  static toggleExportMenu(open = !this.els.exportMenu.classList.contains("open")) {
+    this.els.exportMenu.classList.toggle("open", open);
+  }
 
-  static renderFormatFilters(formats, onFilter) {
-    const row = this.els.formatFiltersRow;
-    row.innerHTML = "";
-    row.appendChild(this._chip("Tous", "all", true, "format"));
+  static setStatsBadge(count, total = count) {
+    this.els.statsBadge.textContent = count === total
+      ? `${count} résultat${count > 1 ? "s" : ""}`
+      : `${count} / ${total} résultats`;
+    this.els.statsBadge.classList.add("visible");
+  }
 
+  // ── Filtres ───────────────────────────────────────────────────────────
+
+  /**
+   * Chips de formats et de genres + panneau avancé, redessinés depuis l'état
+   * de FilterManager (les clics sont délégués dans App._bind).
+   * @param {{ genres: string[], formats: string[], tags: string[] }} options — valeurs présentes dans les résultats
+   */
+  static renderFilters({ genres, formats, tags }, filters, advancedCount) {
     const labels = {
       TV: "📺 TV", MOVIE: "🎬 Film", OVA: "OVA", ONA: "ONA",
       SPECIAL: "Spécial", TV_SHORT: "TV Court", MUSIC: "🎵 Music",
+      MANGA: "📖 Manga", NOVEL: "📚 Light novel", ONE_SHOT: "One shot",
     };
-    for (const f of formats) row.appendChild(this._chip(labels[f] || f, f, false, "format"));
+    // Les valeurs sélectionnées restent affichées même absentes des résultats courants
+    const allFormats = [...new Set([...formats, ...filters.formats])].sort();
+    const allGenres  = [...new Set([...genres, ...filters.genres, ...filters.excludedGenres])].sort();
+
+    const fRow = this.els.formatFiltersRow;
+    fRow.innerHTML = "";
+    const more = this._chip(`🎚️ Filtres${advancedCount ? ` (${advancedCount})` : ""}`, "more", advancedCount > 0, "more");
+    more.classList.add("filter-more");
+    fRow.appendChild(more);
+    fRow.appendChild(this._chip("Tous", "all", !filters.formats.length, "format"));
+    for (const f of allFormats) fRow.appendChild(this._chip(labels[f] || f, f, filters.formats.includes(f), "format"));
+
+    const gRow = this.els.genreFiltersRow;
+    gRow.innerHTML = "";
+    gRow.appendChild(this._chip("Tous", "all", !filters.genres.length && !filters.excludedGenres.length, "genre"));
+    if (filters.genres.length > 1) {
+      const mode = this._chip(filters.genreMode === "AND" ? "ET" : "OU", filters.genreMode, false, "genre-mode");
+      mode.classList.add("filter-mode");
+      mode.title = filters.genreMode === "AND" ? "Titres ayant tous les genres choisis" : "Titres ayant au moins un des genres choisis";
+      gRow.appendChild(mode);
+    }
+    for (const g of allGenres) {
+      const excluded = filters.excludedGenres.includes(g);
+      const chip = this._chip(excluded ? `⊘ ${g}` : g, g, filters.genres.includes(g), "genre");
+      if (excluded) chip.classList.add("excluded");
+      chip.title = "Clic : inclure → exclure → neutre";
+      gRow.appendChild(chip);
+    }
 
-    row.addEventListener("click", (e) => {
-      const chip = e.target.closest(".filter-chip[data-ft='format']");
-      if (!chip) return;
-      row.querySelectorAll(".filter-chip").forEach(c => c.classList.remove("active"));
-      chip.classList.add("active");
-      onFilter(chip.dataset.value);
-    });
+    this.els.statusFilters.innerHTML = "";
+    for (const [status, label] of Object.entries(AIRING_STATUS_LABELS)) {
+      this.els.statusFilters.appendChild(this._chip(label, status, filters.statuses.includes(status), "status"));
+    }
+    this.els.excludedTags.innerHTML = filters.excludedTags
+      .map(t => `<button class="backstage-tag block-tag" data-ft="untag" data-tag="${esc(t)}" title="Retirer">⊘ ${esc(t)} ✕</button>`)
+      .join("");
+    this.els.tagExcludeList.innerHTML = tags
+      .filter(t => !filters.excludedTags.includes(t))
+      .map(t => `<option value="${esc(t)}"></option>`).join("");
+
+    for (const input of this.els.advFilters.querySelectorAll("[data-filter]")) {
+      const v = filters[input.dataset.filter];
+      if (input.type === "checkbox") input.checked = v;
+      else if (document.activeElement !== input) input.value = v ?? "";
+    }
+    this.els.minScoreValue.textContent = filters.minScore ? `${filters.minScore}%` : "—";
+
+    const sort = this.els.sortSelect;
+    if (!sort.options.length) {
+      sort.innerHTML = Object.entries(SORT_OPTIONS).map(([key, o]) => `<option value="${key}">${o.label}</option>`).join("");
+    }
+    sort.value = filters.sort;
+  }
+
+  static toggleAdvancedFilters(open = this.els.advFilters.style.display === "none") {
+    this.els.advFilters.style.display = open ? "grid" : "none";
   }
 
   static _chip(label, value, active, ft) {
@@ -725,16 +355,100 @@ class UIRenderer {
 
   // ── Grid ──────────────────────────────────────────────────────────────
 
-  static renderGrid(recs, onAddPlanning, onBackstage) {
-    this.els.grid.innerHTML = "";
-    for (const rec of recs) {
-      this.els.grid.appendChild(this._card(rec, onAddPlanning, onBackstage));
+  /**
+   * Met la grille à jour sur place : les cartes sont indexées par média,
+   * une carte inchangée est conservée, et les cartes déplacées glissent de
+   * leur ancienne position vers la nouvelle (FLIP).
+   * @param {object[]} recs
+   * @param {{ onAdd?: Function, onInfo?: Function, onDismiss?: Function, onEntry?: Function, onSelect?: Function, selection?: Set }} handlers
+   */
+  static renderGrid(recs, handlers = {}) {
+    const grid = this.els.grid;
+    const before = new Map();
+    const animate = grid.offsetParent !== null && !matchMedia("(prefers-reduced-motion: reduce)").matches;
+    for (const card of grid.children) {
+      before.set(card.dataset.id, { card, rect: animate ? card.getBoundingClientRect() : null });
+    }
+
+    const cards = recs.map(rec => {
+      const old = before.get(String(rec.media.id));
+      if (!old) return this._card(rec, handlers);
+      let card = old.card;
+      if (card.dataset.sig === this._cardSignature(rec)) card.rec = rec;
+      else card = this._card(rec, handlers);
+      card.classList.add("settled");   // déjà affichée : pas de nouveau fondu d'entrée
+      return card;
+    });
+    cards.forEach(card => card.classList.toggle("selected", !!handlers.selection?.has(card.rec.media.id)));
+    grid.replaceChildren(...cards);
+    if (!animate) return;
+
+    for (const card of cards) {
+      const old = before.get(card.dataset.id);
+      if (!old) continue;
+      const { left, top } = card.getBoundingClientRect();
+      const dx = old.rect.left - left, dy = old.rect.top - top;
+      if (dx || dy) {
+        card.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: "none" }],
+          { duration: 350, easing: "cubic-bezier(.22, 1, .36, 1)" });
+      }
+    }
+  }
+
+  /** Ce qui est affiché sur une carte : si rien ne change, la carte est réutilisée telle quelle. */
+  static _cardSignature({ score, reasons, commonTags, franchise, isPlanning }) {
+    const topR = reasons?.find(r => r.weight > 0);
+    return [score, topR?.sourceTitle, (commonTags || []).map(t => t.name).join(","), franchise?.length || 0, !!isPlanning].join("|");
+  }
+
+  // ── Lane "Continuer la série" ─────────────────────────────────────────
+
+  static renderContinueLane(items, { onAdd } = {}) {
+    const lane = this.els.continueLane;
+    const row  = this.els.continueRow;
+    row.innerHTML = "";
+    lane.style.display = items.length ? "block" : "none";
+
+    for (const { media, afterTitle, isPlanning } of items) {
+      const title  = media.title.english || media.title.romaji || "Inconnu";
+      const cover  = media.coverImage.large || media.coverImage.extraLarge;
+      const url    = media.siteUrl || `https://anilist.co/${(media.type || "ANIME").toLowerCase()}/${media.id}`;
+      const card = document.createElement("article");
+      card.className = "lane-card";
+      card.innerHTML = `
+        <div class="lane-cover">
+          <img src="${esc(cover)}" alt="${esc(title)}" loading="lazy" />
+          ${media.status === "NOT_YET_RELEASED" ? `<span class="lane-status">À venir</span>` : ""}
+          ${isPlanning ? `<div class="ptw-badge" title="Déjà dans votre Plan to Watch">📋 PTW</div>` : `
+          <button class="add-planning-btn" data-mid="${esc(media.id)}" title="Ajouter à Planning">
+            <svg viewBox="0 0 24 24" width="16" height="16"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" fill="currentColor"/></svg>
+          </button>`}
+        </div>
+        <div class="lane-title" title="${esc(title)}">${esc(title)}</div>
+        <div class="lane-after" title="Suite de ${esc(afterTitle)}">après ${esc(afterTitle)}</div>
+      `;
+      card.addEventListener("click", (e) => {
+        if (e.target.closest(".add-planning-btn")) return;
+        window.open(url, "_blank");
+      });
+      const addBtn = card.querySelector(".add-planning-btn");
+      if (addBtn) {
+        addBtn.addEventListener("click", async (e) => {
+          e.stopPropagation();
+          if (onAdd) await onAdd(media.id, e.currentTarget);
+        });
+      }
+      row.appendChild(card);
     }
   }
 
-  static _card({ media, score, baseScore, tagBonus, reasons, commonTags, isPlanning }, onAdd, onInfo) {
+  static _card(rec, { onAdd, onInfo, onDismiss, onEntry, onSelect } = {}) {
+    const { media, score, reasons, commonTags, franchise, isPlanning } = rec;
     const card = document.createElement("article");
     card.className = "anime-card";
+    card.rec = rec;
+    card.dataset.id  = media.id;
+    card.dataset.sig = this._cardSignature(rec);
     if (isPlanning) card.classList.add("is-planning");
     card.dataset.genres = (media.genres || []).join(",");
     card.dataset.format = media.format || "";
@@ -742,33 +456,37 @@ class UIRenderer {
     const title  = media.title.english || media.title.romaji || "Inconnu";
     const cover  = media.coverImage.extraLarge || media.coverImage.large;
     const fmt    = media.format ? media.format.replace(/_/g, " ") : "";
-    const year   = media.seasonYear || "";
-    const eps    = media.episodes ? `${media.episodes} ep` : "";
+    const year   = media.seasonYear || media.startDate?.year || "";
+    const eps    = media.episodes ? `${media.episodes} ep`
+                 : media.chapters ? `${media.chapters} ch`
+                 : media.volumes  ? `${media.volumes} vol` : "";
     const mean   = media.meanScore ? `${media.meanScore}%` : "";
+    const status = MEDIA_STATUS_BADGES[media.status];
     const genres = (media.genres || []).slice(0, 3);
-    const url    = media.siteUrl || `https://anilist.co/anime/${media.id}`;
+    const url    = media.siteUrl || `https://anilist.co/${(media.type || "ANIME").toLowerCase()}/${media.id}`;
 
-    const topR = reasons?.[0];
+    const topR = reasons?.find(r => r.weight > 0);
     const sourceHint = topR
-      ? `${topR.type === "favori" ? "★" : "▲"} ${topR.sourceTitle}`
+      ? `${REASON_TYPES[topR.type]?.icon || "•"} ${esc(topR.sourceTitle)}`
       : "";
 
     const tagsHtml = (commonTags || [])
-      .map(t => `<span class="common-tag">${t.name}</span>`).join("");
+      .map(t => `<span class="common-tag">${esc(t.name)}</span>`).join("");
 
     card.innerHTML = `
       <div class="card-image-wrapper">
-        <img src="${cover}" alt="${esc(title)}" loading="lazy" />
+        <img src="${esc(cover)}" alt="${esc(title)}" loading="lazy" />
 
         <div class="score-badge" title="Score de pertinence">
           <svg viewBox="0 0 24 24"><path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z"/></svg>
-          ${score}
+          ${esc(score)}
         </div>
 
-        ${mean ? `<div class="mean-score-badge" title="Note moyenne">${mean}</div>` : ""}
+        ${mean ? `<div class="mean-score-badge" title="Note moyenne">${esc(mean)}</div>` : ""}
+        ${status ? `<div class="status-badge ${status.cls}">${status.label}</div>` : ""}
 
         ${isPlanning ? `<div class="ptw-badge" title="Déjà dans votre Plan to Watch">📋 PTW</div>` : `
-        <button class="add-planning-btn" data-mid="${media.id}" title="Ajouter à Planning">
+        <button class="add-planning-btn" data-mid="${esc(media.id)}" title="Ajouter à Planning">
           <svg viewBox="0 0 24 24" width="16" height="16"><path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" fill="currentColor"/></svg>
         </button>`}
 
@@ -776,28 +494,40 @@ class UIRenderer {
           <svg viewBox="0 0 24 24" width="14" height="14"><path d="M11 17h2v-6h-2v6zm1-15C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zM11 9h2V7h-2v2z" fill="currentColor"/></svg>
         </button>
 
+        <button class="entry-btn" title="Statut, note, favori…">⋯</button>
+
+        <button class="dismiss-btn" title="Pas intéressé — ne plus recommander">
+          <svg viewBox="0 0 24 24" width="13" height="13"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" fill="currentColor"/></svg>
+        </button>
+
         <div class="card-gradient"></div>
         <div class="card-genres">
-          ${genres.map(g => `<span class="genre-tag">${g}</span>`).join("")}
+          ${genres.map(g => `<span class="genre-tag">${esc(g)}</span>`).join("")}
         </div>
       </div>
 
       <div class="card-info">
         <div class="card-title" title="${esc(title)}">${esc(title)}</div>
         ${sourceHint ? `<div class="card-source" title="Recommandé grâce à : ${esc(topR.sourceTitle)}">${sourceHint}</div>` : ""}
+        ${franchise?.length ? `<div class="card-franchise" title="Regroupe : ${esc(franchise.map(f => f.title).join(", "))}">🔗 +${franchise.length} dans la franchise</div>` : ""}
         ${tagsHtml ? `<div class="card-common-tags">${tagsHtml}</div>` : ""}
         <div class="card-meta">
-          ${fmt ? `<span class="card-format">${fmt}</span>` : ""}
+          ${fmt ? `<span class="card-format">${esc(fmt)}</span>` : ""}
           ${fmt && (year || eps) ? `<span class="dot"></span>` : ""}
-          ${year ? `<span>${year}</span>` : ""}
+          ${year ? `<span>${esc(year)}</span>` : ""}
           ${year && eps ? `<span class="dot"></span>` : ""}
-          ${eps ? `<span>${eps}</span>` : ""}
+          ${eps ? `<span>${esc(eps)}</span>` : ""}
         </div>
       </div>
     `;
 
     card.addEventListener("click", (e) => {
-      if (e.target.closest(".add-planning-btn") || e.target.closest(".backstage-btn")) return;
+      if (e.target.closest(".add-planning-btn, .backstage-btn, .dismiss-btn, .entry-btn")) return;
+      // Mode sélection : un clic coche / décoche la carte
+      if (this.els.grid.classList.contains("selecting")) {
+        if (onSelect) onSelect(card.rec, card);
+        return;
+      }
       window.open(url, "_blank");
     });
 
@@ -811,28 +541,173 @@ class UIRenderer {
 
     card.querySelector(".backstage-btn").addEventListener("click", (e) => {
       e.stopPropagation();
-      if (onInfo) onInfo({ media, score, baseScore, tagBonus, reasons, commonTags });
+      if (onInfo) onInfo(card.rec);
+    });
+
+    card.querySelector(".dismiss-btn").addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (onDismiss) onDismiss(media);
+    });
+
+    card.querySelector(".entry-btn").addEventListener("click", (e) => {
+      e.stopPropagation();
+      if (onEntry) onEntry(card.rec, e.currentTarget);
     });
 
     return card;
   }
 
+  // ── Sélection multiple + ajout groupé ─────────────────────────────────
+
+  static setSelectionMode(on) {
+    this.els.grid.classList.toggle("selecting", on);
+    this.els.selectBtn.classList.toggle("active", on);
+    this.els.bulkBar.style.display = on ? "block" : "none";
+    if (!on) this.els.bulkReport.innerHTML = "";
+  }
+
+  /** Compteur, listes personnalisées (la valeur choisie est conservée) et état du bouton d'ajout. */
+  static renderBulkBar(count, { lists = [], busy = false } = {}) {
+    this.els.bulkCount.textContent = `${count} sélectionné${count > 1 ? "s" : ""}`;
+    const select  = this.els.bulkList;
+    const current = select.value;
+    select.innerHTML = `<option value="">Sans liste perso</option>` +
+      lists.map(name => `<option value="${esc(name)}">${esc(name)}</option>`).join("");
+    select.value = lists.includes(current) ? current : "";
+    select.style.display = lists.length ? "" : "none";
+    const submit = this.els.bulkBar.querySelector("[data-bulk='submit']");
+    submit.disabled = busy || !count;
+    submit.textContent = busy ? "⏳ Ajout en cours…" : "📋 Ajouter en Planning";
+  }
+
+  /**
+   * Résultat d'un ajout groupé : bilan, puis chaque échec avec son erreur
+   * et un bouton pour réessayer les échecs (qui restent sélectionnés).
+   * @param {{ title: string, error: string }[]} failures
+   */
+  static renderBulkReport(added, failures) {
+    this.els.bulkReport.innerHTML = `
+      <p class="bulk-summary">${added ? `✔ ${added} titre${added > 1 ? "s" : ""} ajouté${added > 1 ? "s" : ""}` : ""}${added && failures.length ? " · " : ""}${failures.length ? `<span class="bulk-failed">✖ ${failures.length} échec${failures.length > 1 ? "s" : ""}</span>` : ""}</p>
+      ${failures.length ? `
+      <ul class="bulk-failures">
+        ${failures.map(f => `<li><span class="blocklist-title">${esc(f.title)}</span> <em>${esc(f.error)}</em></li>`).join("")}
+      </ul>
+      <button class="auth-btn" data-bulk="retry">↻ Réessayer les échecs</button>` : ""}
+    `;
+  }
+
+  // ── Menu de liste d'une carte + toast ─────────────────────────────────
+
+  /**
+   * Menu flottant ancré sous le bouton ⋯ d'une carte. Sans `entry` connue
+   * (loading), seul le titre est affiché le temps de lire la liste AniList.
+   * @param {{ media: object, entry?: ?{ status: string, score: number }, isFavourite?: boolean, loading?: boolean }} state
+   */
+  static showEntryMenu(anchor, { media, entry = null, isFavourite = false, loading = false }) {
+    const menu  = this.els.entryMenu;
+    const title = media.title.english || media.title.romaji || "Inconnu";
+    const current = entry
+      ? `${LIST_STATUS_LABELS[entry.status] || entry.status}${entry.score ? ` · ${entry.score}/10` : ""}`
+      : "Pas dans votre liste";
+    menu.innerHTML = `
+      <div class="entry-menu-title" title="${esc(title)}">${esc(title)}</div>
+      <div class="entry-menu-current">${loading ? "Lecture de votre liste…" : current}</div>
+      ${loading ? "" : `
+      ${Object.entries(LIST_STATUS_LABELS).map(([status, label]) => status === "COMPLETED" ? `
+        <div class="entry-menu-row">
+          <button data-entry="${status}" ${entry?.status === status ? `class="active"` : ""}>${label}</button>
+          <input type="number" id="entry-score" min="0" max="10" step="0.5" placeholder="/10" value="${entry?.score || ""}" title="Note sur 10 (vide = sans note)" />
+        </div>` : `
+        <button data-entry="${status}" ${entry?.status === status ? `class="active"` : ""}>${label}</button>`).join("")}
+      <button data-entry="favourite" class="entry-menu-sep">${isFavourite ? "💔 Retirer des favoris" : "♥ Ajouter aux favoris"}</button>
+      ${entry ? `<button data-entry="delete" class="entry-menu-danger">🗑 Retirer de ma liste</button>` : ""}`}
+    `;
+    menu.style.display = "flex";
+
+    // Sous le bouton, ou au-dessus s'il n'y a pas la place ; toujours dans la fenêtre
+    const rect = anchor.getBoundingClientRect();
+    const { offsetWidth: w, offsetHeight: h } = menu;
+    const below = rect.bottom + 4 + h <= window.innerHeight;
+    menu.style.top  = `${Math.max(4, below ? rect.bottom + 4 : rect.top - h - 4)}px`;
+    menu.style.left = `${Math.min(Math.max(4, rect.left), window.innerWidth - w - 4)}px`;
+  }
+
+  static hideEntryMenu() {
+    this.els.entryMenu.style.display = "none";
+  }
+
+  /** Message temporaire en bas de la popup, avec un bouton Annuler si `undoable`. */
+  static showToast(text, undoable = false) {
+    clearTimeout(this._toastTimer);
+    this.els.toastText.textContent = text;
+    this.els.toastUndo.style.display = undoable ? "inline-flex" : "none";
+    this.els.toast.classList.add("visible");
+    this._toastTimer = setTimeout(() => this.hideToast(), TOAST_DURATION_MS);
+  }
+
+  static hideToast() {
+    clearTimeout(this._toastTimer);
+    this.els.toast.classList.remove("visible");
+  }
+
   // ── Backstage Panel ───────────────────────────────────────────────────
 
-  static showBackstage({ media, score, baseScore, tagBonus, reasons, commonTags }) {
+  static showBackstage({ media, score, baseScore, tagBonus, affinityBonus, reasons, commonTags, dislikedTags, affinity, memberFit, franchise, similarTo }) {
     const title = media.title.english || media.title.romaji || "Inconnu";
     this.els.backstageTitle.textContent = title;
-    const bonusText = tagBonus > 0 ? ` (base ${baseScore} + tags +${tagBonus})` : "";
+    const bonuses = [tagBonus && `tags ${signed(tagBonus)}`, affinityBonus && `studio / staff ${signed(affinityBonus)}`].filter(Boolean);
+    const bonusText = bonuses.length ? ` (base ${baseScore} + ${bonuses.join(" + ")})` : "";
     this.els.backstageScore.textContent = `Score de pertinence : ${score} pts${bonusText}`;
 
     const ul = this.els.backstageReasons;
     ul.innerHTML = "";
     for (const r of (reasons || [])) {
       const li = document.createElement("li");
-      const icon = r.type === "favori" ? "★" : "▲";
-      const label = r.type === "favori" ? "Favori" : "Top noté";
+      const { icon, label } = REASON_TYPES[r.type] || { icon: "•", label: esc(r.type) };
+      const bridge = r.bridgeTitle ? ` <em>(via ${esc(r.bridgeTitle)})</em>` : "";
+      const hop    = r.via ? ` <em>(via ${esc(r.sourceTitle)} → ${esc(r.via.title)})</em>` : "";
+      const member = r.member ? `<span class="reason-member">${esc(r.member)}</span> ` : "";
+      const note   = r.sourceStatus === "DROPPED" ? ` <em>(abandonné${r.sourceScore ? `, ${r.sourceScore}/10` : ""})</em>`
+                   : r.sourceScore ? ` <em>(${r.sourceScore}/10)</em>`
+                   : r.role ? ` <em>(${esc(r.role)})</em>` : "";
+      const votes  = r.rating !== undefined
+        ? ` <span class="reason-votes" title="Votes de la communauté AniList pour ce lien">👍 ${r.rating}</span>`
+        : "";
+      if (r.weight < 0) li.classList.add("penalty");
       li.innerHTML = `<span class="reason-icon">${icon}</span>
-        <span class="reason-text">+${r.weight} — ${label} : <strong>${esc(r.sourceTitle)}</strong></span>`;
+        <span class="reason-text">${member}${signed(r.weight)} — ${label} : <strong>${esc(r.sourceTitle)}</strong>${note}${bridge}${hop}${votes}</span>`;
+      ul.appendChild(li);
+    }
+    if (dislikedTags?.length) {
+      const li = document.createElement("li");
+      li.classList.add("penalty");
+      li.innerHTML = `<span class="reason-icon">${REASON_TYPES["négatif"].icon}</span>
+        <span class="reason-text">Tags évités (abandonnés / mal notés) : <strong>${dislikedTags.map(t => esc(t.name)).join(", ")}</strong></span>`;
+      ul.appendChild(li);
+    }
+    if (similarTo) {
+      const li = document.createElement("li");
+      li.innerHTML = `<span class="reason-icon">↓</span>
+        <span class="reason-text">Repoussé pour la diversité : tags / genres similaires à ${Math.round(similarTo.similarity * 100)} % à <strong>${esc(similarTo.title)}</strong>, placé plus haut</span>`;
+      ul.appendChild(li);
+    }
+    if (memberFit) {
+      const li = document.createElement("li");
+      li.innerHTML = `<span class="reason-icon">👥</span>
+        <span class="reason-text">Affinité tags / genres par membre : ${memberFit.map(m => `<strong>${esc(m.name)}</strong> ${signed(m.bonus)}`).join(" · ")}</span>`;
+      ul.appendChild(li);
+    }
+    if (affinity?.length) {
+      const li = document.createElement("li");
+      const names = affinity.map(a => `<strong>${esc(a.name)}</strong>${a.role ? ` <em>(${esc(a.role)})</em>` : ""}`);
+      li.innerHTML = `<span class="reason-icon">🎬</span>
+        <span class="reason-text">${signed(affinityBonus)} — Affinité studio / staff : ${names.join(", ")}</span>`;
+      ul.appendChild(li);
+    }
+    if (franchise?.length) {
+      const li = document.createElement("li");
+      li.innerHTML = `<span class="reason-icon">🔗</span>
+        <span class="reason-text">Point d'entrée de la franchise — inclut aussi les raisons de : <strong>${franchise.map(f => esc(f.title)).join(", ")}</strong></span>`;
       ul.appendChild(li);
     }
 
@@ -849,45 +724,591 @@ class UIRenderer {
       tc.innerHTML = `<span class="no-tags">Aucun tag commun détecté</span>`;
     }
 
+    // Actions de blocage (gérées par délégation dans App._bind)
+    const blockableTags = (media.tags || [])
+      .filter(t => t.rank >= BLOCKED_TAG_MIN_RANK)
+      .slice(0, 6);
+    this.els.backstageActions.innerHTML = `
+      <div class="backstage-actions-row">
+        <button class="auth-btn" data-action="dismiss">🚫 Pas intéressé</button>
+        <button class="auth-btn" data-action="block-franchise">⛔ Bloquer la franchise</button>
+      </div>
+      ${blockableTags.length ? `
+      <div class="backstage-tags-row">
+        ${blockableTags.map(t => `<button class="backstage-tag block-tag" data-action="block-tag" data-tag="${esc(t.name)}" title="Ne plus recommander de titres avec ce tag">⊘ ${esc(t.name)}</button>`).join("")}
+      </div>` : ""}
+    `;
+
     this.els.backstage.classList.add("open");
   }
 
   static hideBackstage() {
     this.els.backstage.classList.remove("open");
   }
-}
 
-/** Tiny html-escape helper */
-function esc(text) {
-  const d = document.createElement("div");
-  d.textContent = text;
-  return d.innerHTML;
-}
+  // ── Blocklist Manager ─────────────────────────────────────────────────
+
+  static renderBlocklist({ media, franchises, tags }) {
+    const items = Object.values(media).sort((a, b) => b.at - a.at);
+    this.els.blocklistMedia.innerHTML = items.length
+      ? items.map(m => `
+        <li class="blocklist-item">
+          ${m.cover ? `<img src="${esc(m.cover)}" alt="" loading="lazy" />` : ""}
+          <span class="blocklist-title">${esc(m.title)}</span>
+          <button class="auth-btn" data-action="restore" data-id="${esc(m.id)}">Restaurer</button>
+        </li>`).join("")
+      : `<li class="no-tags">Aucun titre masqué</li>`;
+
+    const fr = Object.values(franchises).sort((a, b) => b.at - a.at);
+    this.els.blocklistFranchises.innerHTML = fr.length
+      ? fr.map(f => `
+        <li class="blocklist-item">
+          <span class="blocklist-title">${esc(f.title)} <em>(${f.ids.length} titres)</em></span>
+          <button class="auth-btn" data-action="unblock-franchise" data-id="${esc(f.id)}">Débloquer</button>
+        </li>`).join("")
+      : `<li class="no-tags">Aucune franchise bloquée</li>`;
+
+    this.els.blocklistTags.innerHTML = tags.length
+      ? tags.map(t => `<button class="backstage-tag" data-action="unblock-tag" data-tag="${esc(t)}" title="Débloquer">${esc(t)} ✕</button>`).join("")
+      : `<span class="no-tags">Aucun tag bloqué</span>`;
+  }
 
+  static showBlocklist() {
+    this.els.blocklistPanel.classList.add("open");
+  }
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  App — Contrôleur
-// ═══════════════════════════════════════════════════════════════════════════
+  static hideBlocklist() {
+    this.els.blocklistPanel.classList.remove("open");
+  }
 
-class App {
+  // ── Cache Manager ─────────────────────────────────────────────────────
+
+  /** Profils en cache (plus récemment utilisé d'abord) et occupation du stockage. */
+  static renderCacheManager(entries, { cache, total, quota }, sources) {
+    const ko = bytes => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} Mo` : `${Math.round(bytes / 1024)} Ko`;
+    this.els.cacheUsage.textContent = `Résultats : ${ko(cache)} / ${ko(CACHE_MAX_BYTES)}`
+      + ` — recos de ${sources.count} sources : ${ko(sources.bytes)}`
+      + (total != null && quota ? ` — stockage total : ${ko(total)} / ${ko(quota)}` : "");
+
+    this.els.cacheList.innerHTML = entries.length
+      ? entries.map(e => {
+          const stale = Date.now() - e.timestamp > CACHE_TTL_MS;
+          return `
+        <li class="blocklist-item">
+          <span class="blocklist-title"><strong>${esc(e.username)}</strong> — ${esc(this._modeLabel(e.mode))}
+            <em>(${e.count} résultats, ${this._age(e.timestamp)}${stale ? ", périmé" : ""}, ${ko(e.bytes)})</em></span>
+          <button class="auth-btn" data-action="refresh-cache" data-key="${esc(e.key)}" title="Afficher et recalculer">↻</button>
+          <button class="auth-btn" data-action="remove-cache" data-key="${esc(e.key)}" title="Supprimer du cache">✕</button>
+        </li>`;
+        }).join("")
+      : `<li class="no-tags">Aucun profil en cache</li>`;
+  }
 
-  static allRecs      = [];
-  static activeGenre  = "all";
-  static activeFormat = "all";
+  static _modeLabel({ type, crossMedia, season, members = [] }) {
+    if (season) {
+      const names = { WINTER: "Hiver", SPRING: "Printemps", SUMMER: "Été", FALL: "Automne" };
+      return `📅 ${names[season.season]} ${season.year}${season.includeNext ? " + suivante" : ""}`;
+    }
+    const base = `${type === "MANGA" ? "📖 Manga" : "📺 Anime"}${crossMedia ? " (croisé)" : ""}`;
+    return members.length ? `${base} · 👥 ${members.join(", ")}` : base;
+  }
 
-  static async init() {
-    UIRenderer.init();
-    this._bind();
+  static _age(timestamp) {
+    const min = Math.round((Date.now() - timestamp) / 60000);
+    if (min < 60) return `il y a ${min} min`;
+    const hours = Math.round(min / 60);
+    return hours < 48 ? `il y a ${hours} h` : `il y a ${Math.round(hours / 24)} j`;
+  }
 
-    // Nettoyer les anciens caches (format cache_xxx)
-    try {
-      const all = await chrome.storage.local.get(null);
-      const oldKeys = Object.keys(all).filter(k => k.startsWith("cache_"));
-      if (oldKeys.length) await chrome.storage.local.remove(oldKeys);
-    } catch {}
+  static showCacheManager() {
+    this.els.cachePanel.classList.add("open");
+  }
 
-    const ok = await AuthManager.init();
-    if (ok) {
+  static hideCacheManager() {
+    this.els.cachePanel.classList.remove("open");
+  }
+
+  // ── Settings Panel ────────────────────────────────────────────────────
+
+  /** (Re)génère les préréglages et un curseur par entrée de SETTINGS_SCHEMA. */
+  static renderSettings(settings, activePreset) {
+    const presets = this.els.settingsPresets;
+    presets.innerHTML = "";
+    for (const [name, preset] of Object.entries(SETTINGS_PRESETS)) {
+      presets.appendChild(this._chip(preset.label, name, name === activePreset, "preset"));
+    }
+
+    const list = this.els.settingsList;
+    list.innerHTML = "";
+    for (const f of SETTINGS_SCHEMA) {
+      const row = document.createElement("label");
+      row.className = "setting-row";
+      row.innerHTML = `
+        <span class="setting-label">${f.label}${f.fetch ? ` <span class="setting-fetch" title="Augmenter cette valeur nécessite une actualisation">↻</span>` : ""}</span>
+        <input type="range" min="${f.min}" max="${f.max}" step="${f.step}" value="${settings[f.key]}" data-key="${f.key}" />
+        <span class="setting-value" data-value-for="${f.key}">${settings[f.key]}</span>
+      `;
+      list.appendChild(row);
+    }
+  }
+
+  /** Met à jour les valeurs affichées sans re-générer les curseurs (drag en cours). */
+  static refreshSettingsValues(settings, activePreset) {
+    for (const span of this.els.settingsList.querySelectorAll("[data-value-for]")) {
+      span.textContent = settings[span.dataset.valueFor];
+    }
+    this.els.settingsPresets.querySelectorAll(".filter-chip").forEach(c => {
+      c.classList.toggle("active", c.dataset.value === activePreset);
+    });
+  }
+
+  /** Affiche l'invite d'actualisation si une limite de sources dépasse celle du dernier calcul. */
+  static updateSettingsNote(settings, fetchedLimits) {
+    const needsFetch = !!fetchedLimits &&
+      SETTINGS_SCHEMA.some(f => f.fetch && settings[f.key] > fetchedLimits[f.key]);
+    this.els.settingsNote.style.display = needsFetch ? "block" : "none";
+  }
+
+  /** Exports MAL importés pour ce pseudo (un par type) dans le panneau de réglages. */
+  static renderMalImports(username) {
+    const imports = username ? MalImportManager.imports(username) : {};
+    const labels = { ANIME: "📺 Anime", MANGA: "📖 Manga" };
+    const items = Object.entries(imports);
+    this.els.malImports.innerHTML = items.length
+      ? items.map(([type, imp]) => `
+        <li class="blocklist-item">
+          <span class="blocklist-title">${labels[type] || type} — ${imp.entries.length} titres
+            <em>(${esc(imp.fileName)}, ${new Date(imp.importedAt).toLocaleDateString("fr-FR")}${imp.unmatched ? `, ${imp.unmatched} sans correspondance` : ""})</em></span>
+          <button class="auth-btn" data-action="remove-mal" data-user="${esc(username)}" data-type="${type}">Retirer</button>
+        </li>`).join("")
+      : `<li class="no-tags">${username ? `Aucun export importé pour ${esc(username)}` : "Entrez un pseudo pour voir ses imports"}</li>`;
+  }
+
+  static setMalImportStatus(text) {
+    this.els.malImportStatus.textContent = text;
+  }
+
+  static showSettings() {
+    this.els.settingsPanel.classList.add("open");
+  }
+
+  static hideSettings() {
+    this.els.settingsPanel.classList.remove("open");
+  }
+}
+
+/** Nombre signé pour l'affichage ("+1.5", "−0.8"). */
+function signed(n) {
+  return n < 0 ? `−${Math.abs(n)}` : `+${n}`;
+}
+
+/** Tiny html-escape helper (texte et valeurs d'attributs) */
+function esc(text) {
+  const d = document.createElement("div");
+  d.textContent = text ?? "";
+  return d.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  ExportManager — Export CSV / JSON / MAL XML + import de snapshot
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SNAPSHOT_FORMAT = "anilist-reco-snapshot";
+
+class ExportManager {
+
+  /** Exporte `recs` (liste filtrée affichée) au format demandé. */
+  static export(format, recs, { username, mode }) {
+    const date = new Date().toISOString().slice(0, 10);
+    const base = `anilist-reco-${username || "export"}-${date}`;
+    if (format === "csv")  this._download(`${base}.csv`,  "text/csv;charset=utf-8", this.toCSV(recs));
+    if (format === "json") this._download(`${base}.json`, "application/json", this.toJSON(recs, { username, mode }));
+    if (format === "mal")  this._download(`${base}-mal.xml`, "application/xml", this.toMalXml(recs));
+  }
+
+  /** Une ligne par titre ; BOM UTF-8 pour qu'Excel lise les accents. */
+  static toCSV(recs) {
+    const header = ["rank", "anilist_id", "mal_id", "title_romaji", "title_english", "format", "year",
+      "score", "base_score", "bonus", "affinity_bonus", "mean_score", "genres", "common_tags", "sources", "url"];
+    const cell = (v) => {
+      const str = v === undefined || v === null ? "" : String(v);
+      return /[",\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const rows = recs.map(({ media, score, baseScore, tagBonus, affinityBonus, reasons, commonTags }, i) => [
+      i + 1,
+      media.id,
+      media.idMal,
+      media.title.romaji,
+      media.title.english,
+      media.format,
+      media.seasonYear || media.startDate?.year,
+      score,
+      baseScore,
+      tagBonus,
+      affinityBonus,
+      media.meanScore,
+      (media.genres || []).join(" | "),
+      (commonTags || []).map(t => t.name).join(" | "),
+      (reasons || []).map(r => `${r.type}: ${r.sourceTitle}${r.member ? ` (${r.member})` : ""}`).join(" | "),
+      media.siteUrl,
+    ]);
+    return "\uFEFF" + [header, ...rows].map(r => r.map(cell).join(",")).join("\r\n");
+  }
+
+  /** Snapshot complet (recos telles qu'affichées), ré-importable via parseSnapshot(). */
+  static toJSON(recs, { username, mode }) {
+    return JSON.stringify({
+      format:     SNAPSHOT_FORMAT,
+      version:    1,
+      exportedAt: new Date().toISOString(),
+      username,
+      mode,
+      results:    recs,
+    }, null, 2);
+  }
+
+  /**
+   * Liste au format d'import MyAnimeList, tous les titres en
+   * Plan to Watch / Plan to Read. Les titres sans ID MAL sont ignorés.
+   */
+  static toMalXml(recs) {
+    const isManga = recs[0]?.media.type === "MANGA";
+    const withMal = recs.filter(r => r.media.idMal);
+    const cdata   = (t) => `<![CDATA[${String(t).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+    const entries = withMal.map(({ media }) => {
+      const title = media.title.romaji || media.title.english || "";
+      return isManga
+        ? `  <manga>
+    <manga_mangadb_id>${media.idMal}</manga_mangadb_id>
+    <manga_title>${cdata(title)}</manga_title>
+    <my_status>Plan to Read</my_status>
+    <update_on_import>1</update_on_import>
+  </manga>`
+        : `  <anime>
+    <series_animedb_id>${media.idMal}</series_animedb_id>
+    <series_title>${cdata(title)}</series_title>
+    <my_status>Plan to Watch</my_status>
+    <update_on_import>1</update_on_import>
+  </anime>`;
+    });
+    const skipped = recs.length - withMal.length;
+    if (skipped) console.warn(`[Export] ${skipped} titres sans ID MyAnimeList ignorés`);
+    return `<?xml version="1.0" encoding="UTF-8" ?>
+<myanimelist>
+  <myinfo>
+    <user_export_type>${isManga ? 2 : 1}</user_export_type>
+  </myinfo>
+${skipped ? `  <!-- ${skipped} titre(s) sans équivalent MyAnimeList ignoré(s) -->\n` : ""}${entries.join("\n")}
+</myanimelist>
+`;
+  }
+
+  /** Lit un snapshot JSON exporté par toJSON() ; lève une erreur s'il est invalide. */
+  static async parseSnapshot(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      throw new Error("Fichier JSON illisible.");
+    }
+    if (data?.format !== SNAPSHOT_FORMAT || !Array.isArray(data.results)) {
+      throw new Error("Ce fichier n'est pas un snapshot AniList Recommendations.");
+    }
+    const results = data.results
+      .filter(r => r?.media && typeof r.media === "object" && r.media.title)
+      .map(r => this._snapshotResult(r))
+      .filter(r => r.media.id > 0);
+    if (!results.length) throw new Error("Le snapshot ne contient aucune recommandation.");
+    return { ...data, username: this._str(data.username), results };
+  }
+
+  /**
+   * Résultat d'un snapshot (fichier non fiable) ramené aux champs lus par les
+   * cartes, le backstage et les exports : objets manquants remplacés par des
+   * valeurs par défaut, nombres et chaînes forcés, URLs limitées à https.
+   */
+  static _snapshotResult(r) {
+    const num  = (v) => Number.isFinite(+v) ? +v : 0;
+    const opt  = (v) => v === undefined || v === null ? undefined : num(v);
+    const str  = this._str;
+    const url  = (v) => /^https:\/\//.test(str(v)) ? str(v) : "";
+    const list = (v, fn) => Array.isArray(v) ? v.filter(x => x && typeof x === "object").map(fn) : [];
+    const m = r.media;
+    return {
+      media: {
+        id:         Math.trunc(num(m.id)),
+        idMal:      Math.trunc(num(m.idMal)) || null,
+        type:       m.type === "MANGA" ? "MANGA" : "ANIME",
+        title:      { romaji: str(m.title?.romaji), english: str(m.title?.english) },
+        coverImage: { large: url(m.coverImage?.large), extraLarge: url(m.coverImage?.extraLarge) },
+        format:     str(m.format),
+        episodes:   num(m.episodes),
+        chapters:   num(m.chapters),
+        volumes:    num(m.volumes),
+        season:     str(m.season),
+        seasonYear: num(m.seasonYear),
+        startDate:  { year: num(m.startDate?.year) },
+        status:     str(m.status),
+        meanScore:  num(m.meanScore),
+        popularity: num(m.popularity),
+        isAdult:    m.isAdult === true,
+        genres:     Array.isArray(m.genres) ? m.genres.map(str).filter(Boolean) : [],
+        tags:       list(m.tags, t => ({ name: str(t.name), rank: num(t.rank) })),
+        siteUrl:    url(m.siteUrl),
+        studios:    { nodes: list(m.studios?.nodes, st => ({ id: num(st.id), name: str(st.name) })) },
+        staff:      { edges: list(m.staff?.edges, e => ({ role: str(e.role), node: { id: num(e.node?.id), name: { full: str(e.node?.name?.full) } } })) },
+      },
+      score:         num(r.score),
+      baseScore:     num(r.baseScore),
+      tagBonus:      num(r.tagBonus),
+      affinityBonus: num(r.affinityBonus),
+      isPlanning:    r.isPlanning === true,
+      deferred:      r.deferred === true,
+      reasons:       list(r.reasons, x => ({
+        type:         str(x.type),
+        sourceTitle:  str(x.sourceTitle),
+        weight:       num(x.weight),
+        rating:       opt(x.rating),
+        sourceScore:  opt(x.sourceScore),
+        sourceStatus: str(x.sourceStatus),
+        member:       str(x.member),
+        role:         str(x.role),
+        bridgeTitle:  str(x.bridgeTitle),
+        via:          x.via ? { id: num(x.via.id), title: str(x.via.title) } : undefined,
+      })),
+      commonTags:    list(r.commonTags,   t => ({ name: str(t.name), strength: num(t.strength) })),
+      dislikedTags:  list(r.dislikedTags, t => ({ name: str(t.name), strength: num(t.strength) })),
+      affinity:      list(r.affinity, a => ({ kind: str(a.kind), name: str(a.name), role: str(a.role), bonus: num(a.bonus) })),
+      memberFit:     Array.isArray(r.memberFit) ? list(r.memberFit, f => ({ name: str(f.name), bonus: num(f.bonus) })) : null,
+      franchise:     list(r.franchise, f => ({ id: num(f.id), title: str(f.title) })),
+      similarTo:     r.similarTo ? { id: num(r.similarTo.id), title: str(r.similarTo.title), similarity: num(r.similarTo.similarity) } : undefined,
+    };
+  }
+
+  static _str(v) {
+    return typeof v === "string" ? v : "";
+  }
+
+  static _download(filename, mime, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    console.log(`[Export] ${filename}`);
+  }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  FilterManager — Filtres de la grille (persistés dans chrome.storage)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_FILTERS = {
+  genres:         [],       // genres requis (selon genreMode)
+  genreMode:      "OR",     // "OR" : au moins un genre, "AND" : tous
+  excludedGenres: [],
+  excludedTags:   [],
+  formats:        [],       // vide = tous
+  yearMin:        null,
+  yearMax:        null,
+  episodesMin:    null,     // épisodes, ou chapitres pour les mangas
+  episodesMax:    null,
+  minScore:       0,        // meanScore AniList minimal (%)
+  statuses:       [],       // statuts de diffusion, vide = tous
+  adult:          false,    // afficher les titres isAdult
+  sort:           "relevance",
+};
+
+/** Statuts de diffusion proposés dans le panneau de filtres. */
+const AIRING_STATUS_LABELS = {
+  FINISHED: "Terminé", RELEASING: "En cours", NOT_YET_RELEASED: "À venir",
+  HIATUS: "En pause", CANCELLED: "Annulé",
+};
+
+/** Tris de la grille : valeur comparée (décroissante), null = en fin de liste. */
+const SORT_OPTIONS = {
+  relevance:  { label: "Pertinence",      value: null },
+  meanScore:  { label: "Note AniList",    value: ({ media }) => media.meanScore },
+  year:       { label: "Année",           value: ({ media }) => media.seasonYear || media.startDate?.year },
+  episodes:   { label: "Épisodes",        value: ({ media }) => media.episodes || media.chapters },
+  sources:    { label: "Nombre de sources", value: ({ reasons }) => (reasons || []).filter(r => r.weight > 0).length },
+  popularity: { label: "Popularité",      value: ({ media }) => media.popularity },
+};
+
+class FilterManager {
+
+  static _filters = { ...DEFAULT_FILTERS };
+
+  static async load() {
+    try {
+      const { recoFilters } = await chrome.storage.local.get("recoFilters");
+      this._filters = this._sanitize(recoFilters);
+    } catch {
+      this._filters = { ...DEFAULT_FILTERS };
+    }
+    return this.current;
+  }
+
+  static async update(partial) {
+    this._filters = this._sanitize({ ...this._filters, ...partial });
+    await chrome.storage.local.set({ recoFilters: this._filters });
+    return this.current;
+  }
+
+  /** Remet les filtres à zéro (le tri choisi est conservé). */
+  static reset() {
+    return this.update({ ...DEFAULT_FILTERS, sort: this._filters.sort });
+  }
+
+  /** Genre cliqué : neutre → requis → exclu → neutre. */
+  static cycleGenre(genre) {
+    const { genres, excludedGenres } = this._filters;
+    if (genres.includes(genre)) {
+      return this.update({ genres: genres.filter(g => g !== genre), excludedGenres: [...excludedGenres, genre] });
+    }
+    if (excludedGenres.includes(genre)) {
+      return this.update({ excludedGenres: excludedGenres.filter(g => g !== genre) });
+    }
+    return this.update({ genres: [...genres, genre] });
+  }
+
+  /** Ajoute ou retire une valeur d'un filtre-liste (formats, statuts, tags exclus). */
+  static toggle(key, value) {
+    const list = this._filters[key];
+    return this.update({ [key]: list.includes(value) ? list.filter(v => v !== value) : [...list, value] });
+  }
+
+  /**
+   * Une donnée absente (année d'un titre annoncé, épisodes d'une série en
+   * cours, meanScore d'un inédit) ne fait pas échouer le filtre correspondant.
+   */
+  static matches(media) {
+    const f = this._filters;
+    const genres = media.genres || [];
+    if (f.genres.length) {
+      const hit = f.genreMode === "AND" ? f.genres.every(g => genres.includes(g)) : f.genres.some(g => genres.includes(g));
+      if (!hit) return false;
+    }
+    if (f.excludedGenres.some(g => genres.includes(g))) return false;
+    if (f.excludedTags.length && (media.tags || []).some(t => t.rank >= BLOCKED_TAG_MIN_RANK && f.excludedTags.includes(t.name))) return false;
+    if (f.formats.length && !f.formats.includes(media.format)) return false;
+    if (f.statuses.length && !f.statuses.includes(media.status)) return false;
+    if (!f.adult && media.isAdult) return false;
+
+    const inRange = (v, min, max) => v == null || ((min == null || v >= min) && (max == null || v <= max));
+    if (!inRange(media.seasonYear || media.startDate?.year, f.yearMin, f.yearMax)) return false;
+    if (!inRange(media.episodes || media.chapters, f.episodesMin, f.episodesMax)) return false;
+    if (f.minScore && media.meanScore && media.meanScore < f.minScore) return false;
+    return true;
+  }
+
+  /** Filtre, recherche texte (titres + tags) puis tri ; à égalité l'ordre de pertinence est conservé. */
+  static apply(recs, query = "") {
+    const q = this._normalize(query.trim());
+    let out = recs.filter(r => this.matches(r.media) && (!q || this._searchText(r.media).includes(q)));
+    const value = SORT_OPTIONS[this._filters.sort]?.value;
+    if (value) {
+      out = out
+        .map((rec, i) => ({ rec, i, v: value(rec) ?? null }))
+        .sort((a, b) => (a.v === null) - (b.v === null) || (b.v ?? 0) - (a.v ?? 0) || a.i - b.i)
+        .map(x => x.rec);
+    }
+    return out;
+  }
+
+  static _searchText(media) {
+    return this._normalize([
+      media.title?.english, media.title?.romaji,
+      ...(media.tags || []).map(t => t.name),
+    ].filter(Boolean).join("\n"));
+  }
+
+  /** Minuscules sans accents : "Shōnen" ↔ "shonen". */
+  static _normalize(text) {
+    return text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  }
+
+  /** Nombre de critères actifs du panneau avancé (hors genres et formats). */
+  static advancedCount() {
+    const f = this._filters;
+    return [f.yearMin, f.yearMax, f.episodesMin, f.episodesMax].filter(v => v != null).length
+      + (f.minScore ? 1 : 0) + (f.statuses.length ? 1 : 0) + (f.excludedTags.length ? 1 : 0) + (f.adult ? 1 : 0);
+  }
+
+  static _sanitize(stored = {}) {
+    const out = { ...DEFAULT_FILTERS };
+    for (const key of ["genres", "excludedGenres", "excludedTags", "formats"]) {
+      if (Array.isArray(stored[key])) out[key] = stored[key].filter(v => typeof v === "string");
+    }
+    out.statuses  = Array.isArray(stored.statuses) ? stored.statuses.filter(s => s in AIRING_STATUS_LABELS) : [];
+    out.genreMode = stored.genreMode === "AND" ? "AND" : "OR";
+    for (const key of ["yearMin", "yearMax", "episodesMin", "episodesMax"]) {
+      const v = parseInt(stored[key], 10);
+      out[key] = Number.isFinite(v) && v >= 0 ? v : null;
+    }
+    out.minScore = Math.min(100, Math.max(0, Number(stored.minScore) || 0));
+    out.adult    = !!stored.adult;
+    out.sort     = stored.sort in SORT_OPTIONS ? stored.sort : "relevance";
+    return out;
+  }
+
+  static get current() { return { ...this._filters }; }
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  App — Contrôleur
+// ═══════════════════════════════════════════════════════════════════════════
+
+class App {
+
+  static allRecs      = [];
+  static filters      = { ...DEFAULT_FILTERS };
+  static mediaType    = "ANIME";
+  static crossMedia   = false;
+  static seasonMode   = false;
+  static blend        = false;
+  static blendMembers = [];       // autres membres du blend (l'utilisateur courant en fait partie)
+  static season       = { ...seasonOf(), includeNext: true };
+  static raw          = null;     // candidats non scorés du dernier calcul
+  static settings     = { ...DEFAULT_SETTINGS };
+  static cacheTimestamp = 0;
+  static _saveTimer   = null;
+  static backstageRec = null;     // recommandation affichée dans le backstage
+  static visibleRecs  = [];       // liste filtrée affichée (exportée telle quelle)
+  static runCtrl      = null;     // AbortController du calcul en cours
+  static _beforeProvisional = null; // { allRecs, raw } affichés avant la grille provisoire
+  static entryMenu    = null;     // { media, entry, isFavourite } du menu de liste ouvert
+  static lastEdit     = null;     // dernière modification de liste (Annuler du toast)
+  static selection    = null;     // Set des médias cochés en mode sélection (null hors de ce mode)
+  static customLists  = {};       // listes personnalisées du viewer, par type de média
+  static bulkBusy     = false;
+
+  static async init() {
+    UIRenderer.init();
+    RateLimiter.onWait(s => UIRenderer.showRateLimitWait(s));
+    // Les nouveautés signalées par le service worker sont vues
+    chrome.action.setBadgeText({ text: "" }).catch(() => {});
+    await this._restoreMediaMode();
+    this.settings = await SettingsManager.load();
+    UIRenderer.renderSettings(this.settings, SettingsManager.matchingPreset());
+    UIRenderer.renderBlocklist(await BlocklistManager.load());
+    await MalImportManager.load();
+    this.filters = await FilterManager.load();
+    this._bind();
+
+    // Nettoyer les anciens caches (format cache_xxx)
+    try {
+      const all = await chrome.storage.local.get(null);
+      const oldKeys = Object.keys(all).filter(k => k.startsWith("cache_"));
+      if (oldKeys.length) await chrome.storage.local.remove(oldKeys);
+    } catch {}
+
+    const ok = await AuthManager.init();
+    if (ok) {
       UIRenderer.showLoggedIn(AuthManager.viewer);
       // Essayer de restaurer les résultats depuis le cache
       const restored = await this._restoreFromCache();
@@ -905,7 +1326,10 @@ class App {
 
   static _bind() {
     UIRenderer.els.fetchBtn.addEventListener("click", () => this._run());
+    UIRenderer.els.cancelBtn.addEventListener("click", () => this._cancelRun());
     UIRenderer.els.input.addEventListener("keydown", e => { if (e.key === "Enter") this._run(); });
+    // Les imports MAL sont propres à chaque pseudo
+    UIRenderer.els.input.addEventListener("change", () => UIRenderer.renderMalImports(UIRenderer.els.input.value.trim()));
     UIRenderer.els.loginBtn.addEventListener("click", () => this._login());
     UIRenderer.els.logoutBtn.addEventListener("click", () => this._logout());
     UIRenderer.els.backstageClose.addEventListener("click", () => UIRenderer.hideBackstage());
@@ -922,6 +1346,201 @@ class App {
       UIRenderer.els.staleBanner.addEventListener("click", () => this._run(true));
     }
 
+    // Switch Anime / Manga / Saison + mode croisé → relance (cache d'abord)
+    UIRenderer.els.mediaTypeSwitch.addEventListener("click", e => {
+      const btn = e.target.closest(".mode-btn");
+      if (!btn || btn.classList.contains("active")) return;
+      if (btn.dataset.type === "SEASON") this._setMediaMode(this.mediaType, this.crossMedia, true);
+      else                               this._setMediaMode(btn.dataset.type, this.crossMedia);
+    });
+    UIRenderer.els.crossToggle.addEventListener("change", e => {
+      this._setMediaMode(this.mediaType, e.target.checked);
+    });
+
+    // Blend : recommandations communes avec d'autres pseudos
+    UIRenderer.els.blendToggle.addEventListener("change", e => {
+      this.blend = e.target.checked;
+      this._applyMode();
+    });
+    UIRenderer.els.blendMembers.addEventListener("change", e => {
+      const self = UIRenderer.els.input.value.trim().toLowerCase();
+      this.blendMembers = [...new Set(e.target.value.split(/[,\s]+/).filter(n => n && n.toLowerCase() !== self))];
+      this._applyMode();
+    });
+
+    // Sélecteur de saison
+    const onSeasonChange = () => {
+      const year = parseInt(UIRenderer.els.seasonYear.value, 10);
+      if (!(year > 1900)) return;
+      this._setSeason({
+        season:      UIRenderer.els.seasonSelect.value,
+        year,
+        includeNext: UIRenderer.els.seasonNext.checked,
+      });
+    };
+    UIRenderer.els.seasonSelect.addEventListener("change", onSeasonChange);
+    UIRenderer.els.seasonYear.addEventListener("change", onSeasonChange);
+    UIRenderer.els.seasonNext.addEventListener("change", onSeasonChange);
+
+    // Panneau de réglages du scoring
+    UIRenderer.els.settingsBtn.addEventListener("click", () => {
+      UIRenderer.renderMalImports(UIRenderer.els.input.value.trim());
+      UIRenderer.showSettings();
+    });
+    UIRenderer.els.settingsClose.addEventListener("click", () => UIRenderer.hideSettings());
+    UIRenderer.els.settingsPanel.addEventListener("click", e => {
+      if (e.target === UIRenderer.els.settingsPanel) UIRenderer.hideSettings();
+    });
+    UIRenderer.els.settingsList.addEventListener("input", e => {
+      const key = e.target.dataset.key;
+      if (key) this._changeSettings(SettingsManager.update({ [key]: Number(e.target.value) }));
+    });
+    UIRenderer.els.settingsPresets.addEventListener("click", e => {
+      const chip = e.target.closest(".filter-chip[data-ft='preset']");
+      if (chip) this._changeSettings(SettingsManager.applyPreset(chip.dataset.value), true);
+    });
+    UIRenderer.els.settingsReset.addEventListener("click", () => {
+      this._changeSettings(SettingsManager.applyPreset("balanced"), true);
+    });
+    UIRenderer.els.malImportBtn.addEventListener("click", () => UIRenderer.els.malImportInput.click());
+    UIRenderer.els.malImportInput.addEventListener("change", e => {
+      const [file] = e.target.files;
+      e.target.value = "";
+      if (file) this._importMal(file);
+    });
+    UIRenderer.els.malImports.addEventListener("click", async e => {
+      const btn = e.target.closest("[data-action='remove-mal']");
+      if (!btn) return;
+      await MalImportManager.remove(btn.dataset.user, btn.dataset.type);
+      UIRenderer.renderMalImports(btn.dataset.user);
+      if (UIRenderer.els.input.value.trim()) this._run(true);
+    });
+    UIRenderer.els.settingsNote.addEventListener("click", () => {
+      UIRenderer.hideSettings();
+      this._run(true);
+    });
+
+    // Backstage : actions "pas intéressé" / blocage franchise / blocage tag
+    UIRenderer.els.backstageActions.addEventListener("click", e => {
+      const btn = e.target.closest("[data-action]");
+      if (!btn || !this.backstageRec) return;
+      const { media } = this.backstageRec;
+      UIRenderer.hideBackstage();
+      if (btn.dataset.action === "dismiss")         this._dismiss(media);
+      if (btn.dataset.action === "block-franchise") this._blockFranchise(media);
+      if (btn.dataset.action === "block-tag")       this._updateBlocklist(BlocklistManager.blockTag(btn.dataset.tag));
+    });
+
+    // Gestionnaire de blocklist
+    UIRenderer.els.blocklistBtn.addEventListener("click", () => UIRenderer.showBlocklist());
+    UIRenderer.els.blocklistClose.addEventListener("click", () => UIRenderer.hideBlocklist());
+    UIRenderer.els.blocklistPanel.addEventListener("click", e => {
+      if (e.target === UIRenderer.els.blocklistPanel) { UIRenderer.hideBlocklist(); return; }
+      const btn = e.target.closest("[data-action]");
+      if (!btn) return;
+      const id = Number(btn.dataset.id);
+      if (btn.dataset.action === "restore")           this._updateBlocklist(BlocklistManager.restore(id));
+      if (btn.dataset.action === "unblock-franchise") this._updateBlocklist(BlocklistManager.unblockFranchise(id));
+      if (btn.dataset.action === "unblock-tag")       this._updateBlocklist(BlocklistManager.unblockTag(btn.dataset.tag));
+    });
+
+    // Filtres : chips (délégation) + panneau avancé
+    UIRenderer.els.filtersSec.addEventListener("click", e => {
+      const chip = e.target.closest("[data-ft]");
+      if (!chip) return;
+      const { ft, value } = chip.dataset;
+      if (ft === "more")       { UIRenderer.toggleAdvancedFilters(); return; }
+      if (ft === "format")     this._changeFilters(value === "all" ? FilterManager.update({ formats: [] }) : FilterManager.toggle("formats", value));
+      if (ft === "genre")      this._changeFilters(value === "all" ? FilterManager.update({ genres: [], excludedGenres: [] }) : FilterManager.cycleGenre(value));
+      if (ft === "genre-mode") this._changeFilters(FilterManager.update({ genreMode: value === "AND" ? "OR" : "AND" }));
+      if (ft === "status")     this._changeFilters(FilterManager.toggle("statuses", value));
+      if (ft === "untag")      this._changeFilters(FilterManager.toggle("excludedTags", chip.dataset.tag));
+    });
+    UIRenderer.els.advFilters.addEventListener("change", e => {
+      const key = e.target.dataset.filter;
+      if (!key) return;
+      const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+      this._changeFilters(FilterManager.update({ [key]: value === "" ? null : value }));
+    });
+    UIRenderer.els.advFilters.addEventListener("input", e => {
+      if (e.target.dataset.filter === "minScore") UIRenderer.els.minScoreValue.textContent = `${e.target.value}%`;
+    });
+    UIRenderer.els.tagExcludeInput.addEventListener("keydown", e => {
+      const tag = e.target.value.trim();
+      if (e.key !== "Enter" || !tag) return;
+      e.target.value = "";
+      if (!this.filters.excludedTags.includes(tag)) this._changeFilters(FilterManager.toggle("excludedTags", tag));
+    });
+    UIRenderer.els.filtersReset.addEventListener("click", () => this._changeFilters(FilterManager.reset()));
+    UIRenderer.els.sortSelect.addEventListener("change", e => this._changeFilters(FilterManager.update({ sort: e.target.value })));
+    UIRenderer.els.searchInput.addEventListener("input", () => this._filter());
+
+    // Gestionnaire de cache
+    UIRenderer.els.cacheBtn.addEventListener("click", async () => {
+      await this._renderCacheManager();
+      UIRenderer.showCacheManager();
+    });
+    UIRenderer.els.cacheClose.addEventListener("click", () => UIRenderer.hideCacheManager());
+    UIRenderer.els.cachePanel.addEventListener("click", async e => {
+      if (e.target === UIRenderer.els.cachePanel) { UIRenderer.hideCacheManager(); return; }
+      const btn = e.target.closest("[data-action]");
+      if (!btn) return;
+      if (btn.dataset.action === "remove-cache")  await ResultCache.remove(btn.dataset.key);
+      if (btn.dataset.action === "clear-cache")   await Promise.all([ResultCache.clear(), SourceCache.clear()]);
+      if (btn.dataset.action === "refresh-cache") { this._refreshCached(btn.dataset.key); return; }
+      this._renderCacheManager();
+    });
+
+    // Menu export / import
+    UIRenderer.els.exportBtn.addEventListener("click", e => {
+      e.stopPropagation();
+      UIRenderer.toggleExportMenu();
+    });
+    UIRenderer.els.exportMenu.addEventListener("click", e => {
+      const btn = e.target.closest("[data-export]");
+      if (!btn) return;
+      UIRenderer.toggleExportMenu(false);
+      if (btn.dataset.export === "import") { UIRenderer.els.importInput.click(); return; }
+      if (!this.visibleRecs.length) return;
+      ExportManager.export(btn.dataset.export, this.visibleRecs, {
+        username: UIRenderer.els.input.value.trim(),
+        mode:     this._mode(),
+      });
+    });
+    document.addEventListener("click", e => {
+      if (!e.target.closest("#export-menu")) UIRenderer.toggleExportMenu(false);
+      if (this.entryMenu && !e.target.closest("#entry-menu")) { this.entryMenu = null; UIRenderer.hideEntryMenu(); }
+    });
+
+    // Menu de liste d'une carte (statut, note, favori) + Annuler
+    UIRenderer.els.entryMenu.addEventListener("click", e => {
+      const btn = e.target.closest("[data-entry]");
+      if (!btn || !this.entryMenu) return;
+      const score = parseFloat(UIRenderer.els.entryMenu.querySelector("#entry-score")?.value);
+      // COMPLETED : champ vide ou 0 = note effacée (0 envoyé, sinon AniList garde l'ancienne)
+      if (btn.dataset.entry === "COMPLETED") this._editEntry("COMPLETED", score > 0 ? Math.min(score, 10) : 0);
+      else                                   this._editEntry(btn.dataset.entry);
+    });
+    UIRenderer.els.toastUndo.addEventListener("click", () => this._undoEdit());
+
+    // Sélection multiple + ajout groupé
+    UIRenderer.els.selectBtn.addEventListener("click", () => this._setSelectionMode(!this.selection));
+    UIRenderer.els.bulkBar.addEventListener("click", e => {
+      const btn = e.target.closest("[data-bulk]");
+      if (!btn || !this.selection) return;
+      if (btn.dataset.bulk === "all")    this.visibleRecs.forEach(r => this.selection.add(r.media.id));
+      if (btn.dataset.bulk === "none")   this.selection.clear();
+      // Réessayer = renvoyer les échecs, restés cochés
+      if (btn.dataset.bulk === "submit" || btn.dataset.bulk === "retry") { this._bulkAdd(); return; }
+      this._renderCurrent(this.visibleRecs);
+      this._renderBulkBar();
+    });
+    UIRenderer.els.importInput.addEventListener("change", e => {
+      const [file] = e.target.files;
+      e.target.value = "";
+      if (file) this._importSnapshot(file);
+    });
+
     // Debug link → ouvre debug.html dans un nouvel onglet
     const debugLink = document.getElementById("debug-link");
     if (debugLink) {
@@ -951,10 +1570,12 @@ class App {
   static async _logout() {
     await AuthManager.logout();
     this.allRecs = [];
+    this.raw = null;
     UIRenderer.showLoggedOut();
     UIRenderer.els.input.value = "";
     UIRenderer.els.filtersSec.style.display = "none";
     UIRenderer.els.grid.style.display = "none";
+    UIRenderer.els.continueLane.style.display = "none";
     UIRenderer.els.statsBadge.classList.remove("visible");
     if (UIRenderer.els.refreshBtn) UIRenderer.els.refreshBtn.style.display = "none";
     if (UIRenderer.els.staleBanner) UIRenderer.els.staleBanner.style.display = "none";
@@ -967,6 +1588,143 @@ class App {
     } catch {}
   }
 
+  // ── Mode (type de média / saison / blend) ─────────────────────────────
+
+  static async _restoreMediaMode() {
+    try {
+      const { anilistMediaMode } = await chrome.storage.local.get("anilistMediaMode");
+      if (anilistMediaMode && MEDIA_TYPES.includes(anilistMediaMode.type)) {
+        this.mediaType  = anilistMediaMode.type;
+        this.crossMedia = !!anilistMediaMode.crossMedia;
+        this.seasonMode = !!anilistMediaMode.seasonMode;
+        if (SEASONS.includes(anilistMediaMode.season?.season)) this.season = anilistMediaMode.season;
+        this.blend        = !!anilistMediaMode.blend;
+        this.blendMembers = anilistMediaMode.blendMembers || [];
+      }
+    } catch {}
+    UIRenderer.setMediaMode(this._uiMode());
+  }
+
+  /** Saison demandée en mode saison, null sinon. */
+  static _activeSeason() {
+    return this.seasonMode ? this.season : null;
+  }
+
+  /** Mode courant, au format de ResultCache et des options du moteur. */
+  static _mode() {
+    return {
+      type:       this.mediaType,
+      crossMedia: this.crossMedia,
+      season:     this._activeSeason(),
+      members:    this.blend && !this.seasonMode ? this.blendMembers : [],
+    };
+  }
+
+  /** Mode courant + état des contrôles (blend coché sans membres, etc.). */
+  static _uiMode() {
+    return { ...this._mode(), blend: this.blend, blendMembers: this.blendMembers };
+  }
+
+  static _setMediaMode(type, crossMedia, seasonMode = false) {
+    this.mediaType  = type;
+    this.crossMedia = crossMedia;
+    this.seasonMode = seasonMode;
+    this._applyMode();
+  }
+
+  static _setSeason(season) {
+    this.season = season;
+    this._applyMode();
+  }
+
+  /** Affiche et persiste le mode courant, puis relance (cache d'abord). */
+  static _applyMode(forceRefresh = false) {
+    const { mediaType: type, crossMedia, seasonMode, season, blend, blendMembers } = this;
+    UIRenderer.setMediaMode(this._uiMode());
+    chrome.storage.local.set({ anilistMediaMode: { type, crossMedia, seasonMode, season, blend, blendMembers } });
+    if (UIRenderer.els.input.value.trim()) this._run(forceRefresh);
+  }
+
+  // ── Gestionnaire de cache ─────────────────────────────────────────────
+
+  static async _renderCacheManager() {
+    const [entries, usage, sources] = await Promise.all([ResultCache.entries(), ResultCache.usage(), SourceCache.usage()]);
+    UIRenderer.renderCacheManager(entries, usage, sources);
+  }
+
+  /** Bascule sur le profil et le mode d'une entrée du cache, puis la recalcule. */
+  static async _refreshCached(key) {
+    const entry = (await ResultCache.entries()).find(e => e.key === key);
+    if (!entry) return;
+    UIRenderer.hideCacheManager();
+    const { type, crossMedia, season, members } = entry.mode;
+    UIRenderer.els.input.value = entry.username;
+    this.mediaType  = type;
+    this.crossMedia = crossMedia;
+    this.seasonMode = !!season;
+    if (season) this.season = season;
+    if (!season) {
+      this.blend        = members.length > 0;
+      this.blendMembers = members;
+    }
+    this._applyMode(true);
+  }
+
+  // ── Réglages du scoring ───────────────────────────────────────────────
+
+  /**
+   * Applique des réglages (promesse de SettingsManager) puis re-classe
+   * la grille depuis les candidats bruts, sans appel réseau.
+   * @param {boolean} redraw — re-générer les curseurs (préréglage appliqué)
+   */
+  static async _changeSettings(pending, redraw = false) {
+    this.settings = await pending;
+    const preset = SettingsManager.matchingPreset();
+    if (redraw) UIRenderer.renderSettings(this.settings, preset);
+    else        UIRenderer.refreshSettingsValues(this.settings, preset);
+    UIRenderer.updateSettingsNote(this.settings, this.raw?.limits);
+    this._rerank();
+  }
+
+  static _rerank() {
+    if (!this.raw) return;
+    this.allRecs = RecommendationEngine.rankCandidates(this.raw, this.settings, BlocklistManager.exclusions());
+    this._filter();
+
+    // Persister le nouveau classement (débounce : les curseurs émettent en continu)
+    clearTimeout(this._saveTimer);
+    const { raw, allRecs, cacheTimestamp } = this;
+    this._saveTimer = setTimeout(() => ResultCache.save(raw.username, allRecs, raw, cacheTimestamp), 600);
+  }
+
+  // ── Blocklist ("Pas intéressé") ───────────────────────────────────────
+
+  static _dismiss(media) {
+    this._updateBlocklist(BlocklistManager.dismiss(media));
+  }
+
+  static async _blockFranchise(media) {
+    try {
+      await this._updateBlocklist(BlocklistManager.blockFranchise(media));
+    } catch (err) {
+      console.error("[App] blockFranchise:", err);
+      // Au minimum, masquer le titre lui-même
+      this._dismiss(media);
+    }
+  }
+
+  /** Attend une modification de la blocklist puis re-classe la grille. */
+  static async _updateBlocklist(pending) {
+    await pending;
+    UIRenderer.renderBlocklist(BlocklistManager.current);
+    if (this.raw) { this._rerank(); this._renderContinueLane(); return; }
+
+    // Ancien cache sans candidats bruts : retirer les titres masqués directement
+    const { ids } = BlocklistManager.exclusions();
+    this.allRecs = this.allRecs.filter(r => !ids.has(r.media.id));
+    this._filter();
+  }
+
   // ── Run ───────────────────────────────────────────────────────────────
 
   /**
@@ -976,14 +1734,20 @@ class App {
     const username = UIRenderer.els.input.value.trim();
     if (!username) { UIRenderer.showError("Entrez un pseudo ou connectez-vous."); return; }
 
+    // Un nouveau calcul remplace toujours le précédent
+    this.runCtrl?.abort();
+    const ctrl = this.runCtrl = new AbortController();
+    const { signal } = ctrl;
+
     chrome.storage.local.set({ anilistUsername: username });
 
     // Vérifier le cache sauf si refresh forcé
     if (!forceRefresh) {
-      const cached = await this._loadCache(username);
+      const cached = await ResultCache.load(username, this._mode());
+      if (signal.aborted) return;
       if (cached) {
-        this._show(cached.results);
-        this._showCacheAge(cached.timestamp);
+        this.runCtrl = null;
+        this._showCached(cached);
         return;
       }
     }
@@ -993,17 +1757,35 @@ class App {
 
     try {
       UIRenderer.showStatus("Initialisation…", 0);
-      const results = await RecommendationEngine.computeRecommendations(
-        username, (s, t, m) => UIRenderer.onProgress(s, t, m)
+      const { results, raw } = await RecommendationEngine.computeRecommendations(
+        username, (s, t, m) => { if (!signal.aborted) UIRenderer.onProgress(s, t, m); },
+        {
+          ...this._mode(),
+          imported:   MalImportManager.lists(username),
+          settings:   this.settings,
+          exclusions: BlocklistManager.exclusions(),
+          signal,
+          onPartial:  (partial) => { if (!signal.aborted) this._showProvisional(partial); },
+        }
       );
+      if (signal.aborted) return;
       if (!results.length) {
-        UIRenderer.showError("Aucune recommandation. Ajoutez des favoris ou notez plus d'animes !");
+        UIRenderer.showError(raw.kind === "season"
+          ? "Aucun titre à classer pour cette saison (déjà vus ou suites de titres non vus)."
+          : this.mediaType === "MANGA"
+          ? "Aucune recommandation. Ajoutez des favoris ou notez plus de mangas !"
+          : "Aucune recommandation. Ajoutez des favoris ou notez plus d'animes !");
         return;
       }
-      await this._saveCache(username, results);
-      this._show(results);
-      this._showCacheAge(Date.now());
+      this.cacheTimestamp = Date.now();
+      await ResultCache.save(username, results, raw, this.cacheTimestamp);
+      this._show(results, raw);
+      this._showCacheAge(this.cacheTimestamp);
     } catch (err) {
+      if (signal.aborted) {
+        console.log(`[App] Calcul pour ${username} annulé`);
+        return;
+      }
       console.error("[App] Pipeline:", err);
       if (err.message === "TOKEN_EXPIRED") {
         UIRenderer.showLoggedOut();
@@ -1011,31 +1793,118 @@ class App {
         return;
       }
       UIRenderer.showError(err.message.includes("introuvable") ? err.message : `Erreur : ${err.message}`);
+    } finally {
+      if (this.runCtrl === ctrl) {
+        this.runCtrl = null;
+        this._beforeProvisional = null;
+      }
     }
   }
 
-  // ── Display ───────────────────────────────────────────────────────────
-
-  static _show(results) {
+  /**
+   * Classement provisoire émis par le moteur pendant le calcul. Les
+   * résultats affichés avant le calcul sont gardés pour un éventuel Annuler ;
+   * `raw` reste vide : rien d'inachevé n'est re-classé ni mis en cache.
+   */
+  static _showProvisional(results) {
+    if (!this._beforeProvisional) {
+      this._beforeProvisional = { allRecs: this.allRecs, raw: this.raw };
+    }
     this.allRecs = results;
-    this.activeGenre = "all";
-    this.activeFormat = "all";
+    this.raw = null;
+    UIRenderer.showProvisional();
+    this._filter();
+  }
 
-    const genres  = new Set();
-    const formats = new Set();
-    for (const { media } of results) {
-      (media.genres || []).forEach(g => genres.add(g));
-      if (media.format) formats.add(media.format);
+  /** Bouton Annuler : interrompt le calcul et revient à la grille précédente s'il y en a une. */
+  static _cancelRun() {
+    if (!this.runCtrl) return;
+    this.runCtrl.abort();
+    this.runCtrl = null;
+    if (this._beforeProvisional) {
+      ({ allRecs: this.allRecs, raw: this.raw } = this._beforeProvisional);
+      this._beforeProvisional = null;
+      this._renderContinueLane();
+      this._filter();
     }
+    if (this.allRecs.length) {
+      UIRenderer.showResults();
+      this._showCacheAge(this.cacheTimestamp);
+    } else {
+      UIRenderer.hideStatus();
+    }
+  }
 
-    UIRenderer.setStatsBadge(results.length);
-    UIRenderer.renderGenreFilters([...genres].sort(), g => { this.activeGenre = g; this._filter(); });
-    UIRenderer.renderFormatFilters([...formats].sort(), f => { this.activeFormat = f; this._filter(); });
-    this._renderCurrent(results);
+  // ── Import d'un export MyAnimeList ─────────────────────────────────────
+
+  /** Lit l'export (décompressé si .gz), l'associe au pseudo saisi puis relance l'analyse. */
+  static async _importMal(file) {
+    const username = UIRenderer.els.input.value.trim();
+    if (!username) { UIRenderer.setMalImportStatus("✕ Entrez d'abord le pseudo AniList auquel rattacher cet export."); return; }
+    const btn = UIRenderer.els.malImportBtn;
+    btn.disabled = true;
+    try {
+      UIRenderer.setMalImportStatus("Lecture de l'export…");
+      const text = file.name.endsWith(".gz")
+        ? await new Response(file.stream().pipeThrough(new DecompressionStream("gzip"))).text()
+        : await file.text();
+      const imp = await MalImportManager.importXml(username, text, file.name, (done, total) =>
+        UIRenderer.setMalImportStatus(`Correspondance AniList : ${done}/${total}…`));
+      UIRenderer.setMalImportStatus(`✓ ${imp.entries.length}/${imp.total} titres associés à AniList pour ${username}`);
+      UIRenderer.renderMalImports(username);
+      this._run(true);
+    } catch (err) {
+      console.error("[App] Import MAL:", err);
+      UIRenderer.setMalImportStatus(`✕ ${err.message}`);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  // ── Import de snapshot ────────────────────────────────────────────────
+
+  /** Affiche un snapshot JSON exporté (sans re-classement ni mise en cache). */
+  static async _importSnapshot(file) {
+    try {
+      const snapshot = await ExportManager.parseSnapshot(file);
+      const { ids } = BlocklistManager.exclusions();
+      this._show(snapshot.results.filter(r => !ids.has(r.media.id)), null);
+      UIRenderer.showSnapshotBanner(snapshot);
+      console.log(`[App] Snapshot importé : ${snapshot.results.length} résultats`);
+    } catch (err) {
+      console.error("[App] Import:", err);
+      UIRenderer.showError(err.message);
+    }
+  }
+
+  // ── Display ───────────────────────────────────────────────────────────
+
+  /**
+   * Affiche une entrée de cache. Si les candidats bruts sont présents, les
+   * résultats sont re-classés avec les réglages courants (instantané).
+   */
+  static _showCached(cached) {
+    const results = cached.raw
+      ? RecommendationEngine.rankCandidates(cached.raw, this.settings, BlocklistManager.exclusions())
+      : cached.results;
+    this.cacheTimestamp = cached.timestamp;
+    this._show(results, cached.raw || null);
+    this._showCacheAge(cached.timestamp);
+  }
+
+  static _show(results, raw = null) {
+    this.allRecs = results;
+    this.raw = raw;
+    this._beforeProvisional = null;
+    UIRenderer.els.searchInput.value = "";   // la recherche ne survit pas à un changement de résultats
+
+    this._renderContinueLane();
+    this._filter();
     UIRenderer.showResults();
 
     // Afficher le bouton Actualiser
     if (UIRenderer.els.refreshBtn) UIRenderer.els.refreshBtn.style.display = "inline-flex";
+    UIRenderer.updateSettingsNote(this.settings, raw?.limits);
   }
 
   /** Affiche l'âge du cache ou un bandeau "périmé" */
@@ -1052,18 +1921,48 @@ class App {
     }
   }
 
+  /** Redessine les filtres (options tirées des résultats) et la grille filtrée. */
   static _filter() {
-    let f = this.allRecs;
-    if (this.activeGenre  !== "all") f = f.filter(r => (r.media.genres || []).includes(this.activeGenre));
-    if (this.activeFormat !== "all") f = f.filter(r => r.media.format === this.activeFormat);
-    this._renderCurrent(f);
+    const genres = new Set(), formats = new Set(), tags = new Set();
+    for (const { media } of this.allRecs) {
+      (media.genres || []).forEach(g => genres.add(g));
+      (media.tags || []).forEach(t => { if (t.rank >= BLOCKED_TAG_MIN_RANK) tags.add(t.name); });
+      if (media.format) formats.add(media.format);
+    }
+    UIRenderer.renderFilters(
+      { genres: [...genres], formats: [...formats], tags: [...tags].sort() },
+      this.filters, FilterManager.advancedCount()
+    );
+    const recs = FilterManager.apply(this.allRecs, UIRenderer.els.searchInput.value);
+    UIRenderer.setStatsBadge(recs.length, this.allRecs.length);
+    this._renderCurrent(recs);
+  }
+
+  static async _changeFilters(pending) {
+    this.filters = await pending;
+    this._filter();
+  }
+
+  /** Lane "Continuer la série" (hors titres masqués). */
+  static _renderContinueLane() {
+    const { ids } = BlocklistManager.exclusions();
+    const edits = this.raw?.listEdits || {};
+    const items = (this.raw?.continueLane || [])
+      .filter(i => !ids.has(i.media.id) && !(edits[i.media.id]?.status && edits[i.media.id].status !== "PLANNING"))
+      .map(i => i.media.id in edits ? { ...i, isPlanning: edits[i.media.id].status === "PLANNING" } : i);
+    UIRenderer.renderContinueLane(items, { onAdd: (id, btn) => this._addPlanning(id, btn) });
   }
 
   static _renderCurrent(recs) {
-    UIRenderer.renderGrid(recs,
-      (id, btn) => this._addPlanning(id, btn),
-      (rec) => UIRenderer.showBackstage(rec)
-    );
+    this.visibleRecs = recs;
+    UIRenderer.renderGrid(recs, {
+      onAdd:     (id, btn) => this._addPlanning(id, btn),
+      onInfo:    (rec) => { this.backstageRec = rec; UIRenderer.showBackstage(rec); },
+      onDismiss: (media) => this._dismiss(media),
+      onEntry:   (rec, btn) => this._openEntryMenu(rec, btn),
+      onSelect:  (rec, card) => this._toggleSelected(rec, card),
+      selection: this.selection,
+    });
   }
 
   // ── Add to Planning ───────────────────────────────────────────────────
@@ -1088,37 +1987,210 @@ class App {
     }
   }
 
-  // ── Cache (persistance) ───────────────────────────────────────────────
+  // ── Liste AniList depuis une carte ────────────────────────────────────
 
-  /** Sauvegarde les résultats + timestamp dans chrome.storage.local */
-  static async _saveCache(username, results) {
+  /** Ouvre le menu ⋯ d'une carte, avec l'état actuel de l'entrée dans la liste du viewer. */
+  static async _openEntryMenu(rec, anchor) {
+    if (!AuthManager.isLoggedIn) {
+      UIRenderer.showToast("Connectez-vous pour modifier votre liste.");
+      return;
+    }
+    const { media } = rec;
+    const menu = this.entryMenu = { media, entry: null, isFavourite: false };
+    UIRenderer.showEntryMenu(anchor, { media, loading: true });
     try {
-      const payload = {
-        username: username.toLowerCase(),
-        results,
-        timestamp: Date.now(),
-      };
-      await chrome.storage.local.set({ recoCache: payload });
-      console.log(`[Cache] Sauvegardé ${results.length} résultats pour ${username}`);
-    } catch (e) { console.warn("[Cache] Écriture échouée:", e); }
+      Object.assign(menu, await RecommendationEngine.fetchListEntry(media.id));
+      if (this.entryMenu === menu) UIRenderer.showEntryMenu(anchor, menu);
+    } catch (err) {
+      console.error("[App] fetchListEntry:", err);
+      if (this.entryMenu !== menu) return;
+      this.entryMenu = null;
+      UIRenderer.hideEntryMenu();
+      UIRenderer.showToast(`Erreur : ${err.message}`);
+    }
   }
 
   /**
-   * Charge le cache si l'utilisateur correspond.
-   * Retourne { results, timestamp } ou null.
-   * Ne vérifie PAS l'expiration — c'est _run() ou _restoreFromCache() qui décide.
+   * Action du menu : statut (note sur 10 pour COMPLETED), favori ou
+   * suppression. La grille et le cache suivent sans nouveau calcul, et le
+   * toast propose d'annuler (mutation inverse).
+   * @param {string} action — statut AniList, "favourite" ou "delete"
    */
-  static async _loadCache(username) {
+  static async _editEntry(action, score) {
+    const { media, entry, isFavourite } = this.entryMenu;
+    this.entryMenu = null;
+    UIRenderer.hideEntryMenu();
+    const title  = media.title.english || media.title.romaji || "Inconnu";
+    const before = { status: entry?.status ?? null, score: entry?.score ?? 0, favourite: isFavourite };
+    const restoreEntry = () => RecommendationEngine.saveListEntry(media.id, { status: entry.status, score: entry.score });
+
     try {
-      const { recoCache } = await chrome.storage.local.get("recoCache");
-      if (recoCache && recoCache.username === username.toLowerCase() && recoCache.results?.length) {
-        console.log(`[Cache] Trouvé: ${recoCache.results.length} résultats (âge: ${Math.round((Date.now() - recoCache.timestamp) / 60000)}min)`);
-        return recoCache;
+      let after, undo, label;
+      if (action === "favourite") {
+        await RecommendationEngine.toggleFavourite(media);
+        after = { ...before, favourite: !isFavourite };
+        undo  = () => RecommendationEngine.toggleFavourite(media);
+        label = isFavourite ? "retiré des favoris" : "ajouté aux favoris";
+      } else if (action === "delete") {
+        await RecommendationEngine.deleteListEntry(entry.id);
+        after = { ...before, status: null, score: 0 };
+        undo  = restoreEntry;
+        label = "retiré de votre liste";
+      } else {
+        const saved = await RecommendationEngine.saveListEntry(media.id, { status: action, score });
+        after = { ...before, status: saved.status, score: saved.score || 0 };
+        undo  = entry ? restoreEntry : () => RecommendationEngine.deleteListEntry(saved.id);
+        label = `→ ${LIST_STATUS_LABELS[saved.status] || saved.status}${saved.score ? ` (${saved.score}/10)` : ""}`;
       }
-    } catch {}
-    return null;
+
+      const restoreGrid = this._applyListEdits({ [media.id]: after });
+      this.lastEdit = { title, undo, restoreGrid };
+      UIRenderer.showToast(`« ${title} » ${label}`, true);
+    } catch (err) {
+      console.error("[App] Modification de liste:", err);
+      UIRenderer.showToast(`Erreur : ${err.message}`);
+    }
+  }
+
+  /** Annuler du toast : mutation inverse, puis la grille revient à son état d'avant. */
+  static async _undoEdit() {
+    const edit = this.lastEdit;
+    if (!edit) return;
+    this.lastEdit = null;
+    UIRenderer.hideToast();
+    try {
+      await edit.undo();
+      edit.restoreGrid();
+      UIRenderer.showToast(`« ${edit.title} » : modification annulée`);
+    } catch (err) {
+      console.error("[App] Annulation:", err);
+      UIRenderer.showToast(`Erreur : ${err.message}`);
+    }
   }
 
+  /**
+   * Reporte une modification de liste sur les résultats affichés, s'ils sont
+   * ceux du viewer : raw.listEdits (re-classement + profil, cf. rankCandidates)
+   * puis sauvegarde du cache. Sans candidats bruts, la grille est corrigée à la main.
+   * @param {{ [mediaId]: { status: ?string, score?: number, favourite?: boolean } }} edits
+   * @returns {Function} remet la grille dans son état précédent
+   */
+  static _applyListEdits(edits) {
+    const viewer = AuthManager.viewer?.name?.toLowerCase();
+    const owner  = (this.raw?.username || UIRenderer.els.input.value.trim()).toLowerCase();
+    if (!viewer || viewer !== owner) return () => {};
+
+    if (this.raw) {
+      const raw = this.raw;
+      const previous = Object.fromEntries(Object.keys(edits).map(id => [id, raw.listEdits?.[id]]));
+      const set = (values) => {
+        raw.listEdits = { ...raw.listEdits, ...values };
+        for (const [id, value] of Object.entries(values)) if (!value) delete raw.listEdits[id];
+        if (this.raw !== raw) return;
+        this._rerank();
+        this._renderContinueLane();
+      };
+      set(edits);
+      return () => set(previous);
+    }
+
+    const previous = this.allRecs;
+    const seen = (id) => edits[id]?.status && edits[id].status !== "PLANNING";
+    this.allRecs = this.allRecs
+      .filter(r => !seen(r.media.id))
+      .map(r => edits[r.media.id] ? { ...r, isPlanning: edits[r.media.id].status === "PLANNING" } : r);
+    this._filter();
+    return () => {
+      if (this.raw) return;
+      this.allRecs = previous;
+      this._filter();
+    };
+  }
+
+  // ── Ajout groupé ──────────────────────────────────────────────────────
+
+  /** Mode sélection : un clic sur une carte la coche ; la barre d'ajout groupé s'affiche. */
+  static async _setSelectionMode(on) {
+    if (on && !AuthManager.isLoggedIn) {
+      UIRenderer.showToast("Connectez-vous pour ajouter des titres à votre liste.");
+      return;
+    }
+    this.selection = on ? new Set() : null;
+    UIRenderer.setSelectionMode(on);
+    this._renderCurrent(this.visibleRecs);
+    if (!on) return;
+    this._renderBulkBar();
+
+    const type = this.mediaType;
+    if (this.customLists[type]) return;
+    try {
+      this.customLists[type] = await RecommendationEngine.fetchCustomLists(type);
+      this._renderBulkBar();
+    } catch (err) {
+      console.warn("[App] Listes personnalisées:", err);
+    }
+  }
+
+  static _renderBulkBar() {
+    UIRenderer.renderBulkBar(this.selection?.size || 0, { lists: this.customLists[this.mediaType], busy: this.bulkBusy });
+  }
+
+  static _toggleSelected(rec, card) {
+    const id = rec.media.id;
+    if (this.selection.has(id)) this.selection.delete(id);
+    else                        this.selection.add(id);
+    card.classList.toggle("selected", this.selection.has(id));
+    this._renderBulkBar();
+  }
+
+  /**
+   * Ajoute les titres cochés en PLANNING, en une mutation aliasée, avec la
+   * liste perso, la priorité et la note choisies. Les titres ajoutés sont
+   * décochés et passent en PTW ; les échecs restent cochés pour "Réessayer".
+   */
+  static async _bulkAdd() {
+    if (this.bulkBusy || !this.selection?.size) return;
+    const recById = new Map(this.allRecs.map(r => [r.media.id, r]));
+    const recs = [...this.selection].map(id => recById.get(id)).filter(Boolean);
+    const withNote = UIRenderer.els.bulkNote.checked;
+    const items = recs.map(({ media, reasons }) => {
+      const source = reasons?.find(r => r.weight > 0)?.sourceTitle;
+      return { mediaId: media.id, notes: withNote && source ? `Recommandé via ${source}` : "" };
+    });
+    const list = UIRenderer.els.bulkList.value;
+
+    this.bulkBusy = true;
+    this._renderBulkBar();
+    let results;
+    try {
+      results = await RecommendationEngine.bulkSaveListEntries(items, {
+        customLists: list ? [list] : [],
+        priority:    parseInt(UIRenderer.els.bulkPriority.value, 10) || 0,
+      });
+    } catch (err) {
+      console.error("[App] Ajout groupé:", err);
+      results = new Map(items.map(({ mediaId }) => [mediaId, { ok: false, error: err.message }]));
+    } finally {
+      this.bulkBusy = false;
+    }
+    if (!this.selection) return;   // mode sélection quitté pendant l'envoi
+
+    const added = recs.filter(r => results.get(r.media.id)?.ok);
+    const failures = recs
+      .filter(r => !results.get(r.media.id)?.ok)
+      .map(r => ({ title: r.media.title.english || r.media.title.romaji || "Inconnu", error: results.get(r.media.id)?.error || "Échec de l'ajout" }));
+    added.forEach(r => this.selection.delete(r.media.id));
+    UIRenderer.renderBulkReport(added.length, failures);
+    if (added.length) {
+      const edits = this.raw?.listEdits || {};
+      this._applyListEdits(Object.fromEntries(added.map(r => [r.media.id, { ...edits[r.media.id], status: "PLANNING" }])));
+    }
+    this._renderCurrent(this.visibleRecs);
+    this._renderBulkBar();
+  }
+
+  // ── Cache (persistance) ───────────────────────────────────────────────
+
   /**
    * Restaure les résultats depuis le cache au démarrage.
    * Affiche immédiatement sans appel API.
@@ -1128,12 +2200,11 @@ class App {
     const username = UIRenderer.els.input.value.trim();
     if (!username) return false;
 
-    const cached = await this._loadCache(username);
+    const cached = await ResultCache.load(username, this._mode());
     if (!cached) return false;
 
     console.log(`[Cache] Restauration instantanée de ${cached.results.length} résultats`);
-    this._show(cached.results);
-    this._showCacheAge(cached.timestamp);
+    this._showCached(cached);
     return true;
   }
 }
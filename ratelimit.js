@@ -0,0 +1,192 @@
+/* ═══════════════════════════════════════════════════════════════════════════
+   AniList Smart Recommendations v2.0 — ratelimit.js
+   ─────────────────────────────────────────────────
+   Ordonnanceur de requêtes de la popup, du service worker et de la page de
+   debug : suit le budget annoncé par AniList (X-RateLimit-*), parallélise
+   tant qu'il en reste, ralentit avant le 429 et le gère. Chaque contexte a
+   sa propre file, mais le budget observé et les pauses après un 429 sont
+   partagés entre contextes via chrome.storage (la dernière mesure l'emporte).
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+"use strict";
+
+const RATE_LIMIT_DEFAULT     = 90;    // requêtes / minute annoncées par AniList (à défaut d'en-tête)
+const RATE_LIMIT_LOW         = 10;    // sous ce budget restant : une requête à la fois, espacées
+const RATE_LIMIT_CONCURRENCY = 4;     // requêtes simultanées quand le budget le permet
+const RATE_LIMIT_WINDOW_MS   = 60 * 1000;
+const RATE_LIMIT_MAX_RETRIES = 4;     // nouvelles tentatives après un 429
+const RATE_LIMIT_STORAGE_KEY = "recoRateLimit";   // dernière mesure, partagée entre contextes
+
+
+// ═══════════════════════════════════════════════════════════════════════════
+//  RateLimiter — Budget de requêtes AniList
+// ═══════════════════════════════════════════════════════════════════════════
+
+class RateLimiter {
+
+  static limit     = RATE_LIMIT_DEFAULT;
+  static remaining = RATE_LIMIT_DEFAULT;
+  static resetAt   = 0;          // instant où le budget est de nouveau plein (0 = inconnu)
+  static pauseUntil = 0;         // après un 429 : aucune requête avant Retry-After
+  static _inFlight = 0;
+  static _lastStart = 0;
+  static _measuredAt = 0;        // instant de la mesure courante (locale ou d'un autre contexte)
+  static _waiters  = [];         // requêtes en attente d'une place libre
+  static _listeners = new Set();
+
+  /**
+   * Abonne un écouteur aux attentes de rate limit : appelé chaque seconde
+   * avec le nombre de secondes restantes, puis avec 0 à la fin de l'attente.
+   * @returns {Function} désabonnement
+   */
+  static onWait(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * fetch() soumis au budget. Un 429 est réessayé (Retry-After, sinon backoff
+   * exponentiel) ; la dernière réponse 429 est rendue à l'appelant.
+   * `init.signal` interrompt aussi l'attente d'une place.
+   */
+  static async fetch(url, init = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this._acquire(init.signal);
+      let res;
+      try {
+        res = await fetch(url, init);
+      } finally {
+        this._release();
+      }
+      this._update(res.headers);
+      if (res.status !== 429 || attempt >= RATE_LIMIT_MAX_RETRIES) {
+        this._share();
+        return res;
+      }
+
+      const retryAfter = parseInt(res.headers.get("Retry-After") || "0", 10);
+      const backoff = retryAfter > 0 ? retryAfter * 1000 : (2 ** attempt) * 1500;
+      this.pauseUntil = Math.max(this.pauseUntil, Date.now() + backoff);
+      this._share();
+      console.log(`[API] 429 — retry #${attempt + 1} dans ${backoff}ms`);
+    }
+  }
+
+  /** Attend une place : après un 429 ou budget épuisé → jusqu'au reset ; budget bas → en série et espacé. */
+  static async _acquire(signal) {
+    for (;;) {
+      signal?.throwIfAborted();
+      const now = Date.now();
+      if (now < this.pauseUntil) {
+        await this._wait(this.pauseUntil - now, signal);
+        continue;
+      }
+      if (this.resetAt && now >= this.resetAt) {
+        this.remaining = this.limit;
+        this.resetAt = 0;
+      }
+      const budget = this.remaining - this._inFlight;
+      if (budget <= 0 && this._inFlight === 0) {
+        await this._wait((this.resetAt || now + RATE_LIMIT_WINDOW_MS) - now, signal);
+        continue;
+      }
+      const low = budget <= RATE_LIMIT_LOW;
+      if (budget <= 0 || this._inFlight >= (low ? 1 : RATE_LIMIT_CONCURRENCY)) {
+        await new Promise(resolve => {
+          // Place accordée ou run annulé : l'écouteur est retiré dans les deux cas
+          const done = () => {
+            signal?.removeEventListener("abort", done);
+            resolve();
+          };
+          this._waiters.push(done);
+          signal?.addEventListener("abort", done, { once: true });
+        });
+        continue;
+      }
+      const gap = low ? RATE_LIMIT_WINDOW_MS / this.limit - (now - this._lastStart) : 0;
+      if (gap > 0) {
+        await this._wait(gap, signal);
+        continue;
+      }
+      break;
+    }
+    this._inFlight++;
+    this._lastStart = Date.now();
+  }
+
+  static _release() {
+    this._inFlight--;
+    this._waiters.splice(0).forEach(resolve => resolve());
+  }
+
+  /** En-têtes AniList : X-RateLimit-Limit / -Remaining, et -Reset (secondes epoch) sur un 429. */
+  static _update(headers) {
+    const limit     = parseInt(headers.get("X-RateLimit-Limit") || "", 10);
+    const remaining = parseInt(headers.get("X-RateLimit-Remaining") || "", 10);
+    const reset     = parseInt(headers.get("X-RateLimit-Reset") || "", 10);
+    if (limit > 0) this.limit = limit;
+    if (Number.isFinite(remaining)) {
+      this.remaining = remaining;
+      this._measuredAt = Date.now();
+      // Fenêtre glissante : au pire, le budget est plein une minute après la dernière mesure
+      this.resetAt = Date.now() + RATE_LIMIT_WINDOW_MS;
+    }
+    if (reset > 0) this.resetAt = reset * 1000;
+  }
+
+  // ── Partage entre contextes ─────────────────────────────────────────
+
+  /** Publie la mesure courante pour les autres contextes (popup, service worker, debug). */
+  static _share() {
+    if (typeof chrome === "undefined" || !chrome.storage?.local) return;
+    const { limit, remaining, resetAt, pauseUntil, _measuredAt: at } = this;
+    chrome.storage.local.set({ [RATE_LIMIT_STORAGE_KEY]: { limit, remaining, resetAt, pauseUntil, at } }).catch(() => {});
+  }
+
+  /** Mesure d'un autre contexte : retenue si plus récente ; une pause après 429 est toujours prolongée. */
+  static _adopt(state) {
+    if (!state) return;
+    this.pauseUntil = Math.max(this.pauseUntil, state.pauseUntil || 0);
+    if (!(state.at > this._measuredAt)) return;
+    this.limit       = state.limit;
+    this.remaining   = state.remaining;
+    this.resetAt     = state.resetAt;
+    this._measuredAt = state.at;
+  }
+
+  /** Lit la dernière mesure connue puis suit celles des autres contextes. */
+  static listen() {
+    if (typeof chrome === "undefined" || !chrome.storage?.onChanged) return;
+    chrome.storage.local.get(RATE_LIMIT_STORAGE_KEY)
+      .then(({ [RATE_LIMIT_STORAGE_KEY]: state }) => this._adopt(state))
+      .catch(() => {});
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === "local" && changes[RATE_LIMIT_STORAGE_KEY]) this._adopt(changes[RATE_LIMIT_STORAGE_KEY].newValue);
+    });
+  }
+
+  /** Pause annoncée aux écouteurs seconde par seconde (seulement si elle dépasse 1 s), écourtée par `signal`. */
+  static async _wait(ms, signal) {
+    const end = Date.now() + ms;
+    const notify = ms >= 1000;
+    for (let left = ms; left > 0 && !signal?.aborted; left = end - Date.now()) {
+      if (notify) this._listeners.forEach(fn => fn(Math.ceil(left / 1000)));
+      await this._sleep(Math.min(left, 1000), signal);
+    }
+    if (notify) this._listeners.forEach(fn => fn(0));
+  }
+
+  static _sleep(ms, signal) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      signal?.addEventListener("abort", done, { once: true });
+    });
+  }
+}
+
+RateLimiter.listen();